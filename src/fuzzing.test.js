@@ -8,7 +8,17 @@
 const {
   validatePositiveInteger,
   validateLabelName,
-  validateLabelArray
+  validateLabelArray,
+  parsePriorityList,
+  validateChoice,
+  parseChoiceList,
+  parseScoreWeights,
+  parseProjectReference,
+  parseNameList,
+  parseLoginList,
+  parseAgentRouting,
+  parsePattern,
+  parseEffort
 } = require('./validation.js')
 
 describe('Fuzzing Tests - Input Validation Edge Cases', () => {
@@ -306,4 +316,253 @@ describe('Fuzzing Tests - Input Validation Edge Cases', () => {
       expect(result).toEqual(['bug', 'help-wanted'])
     })
   })
+
+  describe('parsePriorityList fuzzing', () => {
+    test('should keep listed order for unweighted entries', () => {
+      expect(parsePriorityList('bug,docs,enhancement')).toEqual([
+        { name: 'bug', weight: 3 },
+        { name: 'docs', weight: 2 },
+        { name: 'enhancement', weight: 1 }
+      ])
+    })
+
+    test('should sort weighted entries by descending weight', () => {
+      expect(parsePriorityList('docs:3,security:10,bug:8')).toEqual([
+        { name: 'security', weight: 10 },
+        { name: 'bug', weight: 8 },
+        { name: 'docs', weight: 3 }
+      ])
+    })
+
+    test('should keep listed order for equal weights', () => {
+      const result = parsePriorityList('a:5,b:5,c:5')
+      expect(result.map((entry) => entry.name)).toEqual(['a', 'b', 'c'])
+    })
+
+    test('should trim whitespace around entries and weights', () => {
+      expect(parsePriorityList(' bug : 8 , docs : 3 ')).toEqual([
+        { name: 'bug', weight: 8 },
+        { name: 'docs', weight: 3 }
+      ])
+    })
+
+    test('should reject lists that mix weighted and unweighted entries', () => {
+      expect(() => parsePriorityList('security:10,bug,docs:3')).toThrow('give every entry a weight or none')
+      expect(() => parsePriorityList('bug,docs:3')).toThrow('give every entry a weight or none')
+    })
+
+    test('should skip invalid label names', () => {
+      const result = parsePriorityList('bug,<script>:5,docs')
+      expect(result.map((entry) => entry.name)).toEqual(['bug', 'docs'])
+    })
+
+    test('should ignore duplicate labels', () => {
+      const result = parsePriorityList('bug:1,bug:9')
+      expect(result).toEqual([{ name: 'bug', weight: 1 }])
+    })
+
+    test('should reject invalid weights', () => {
+      expect(() => parsePriorityList('bug:abc')).toThrow('Invalid integer')
+      expect(() => parsePriorityList('bug:-1')).toThrow('out of range')
+      expect(() => parsePriorityList('bug:1001')).toThrow('out of range')
+      expect(() => parsePriorityList('bug:8.5')).toThrow('Invalid integer')
+      expect(() => parsePriorityList('bug:10abc')).toThrow('Invalid integer')
+    })
+
+    test('should limit the number of entries', () => {
+      const value = Array.from({ length: 30 }, (_, i) => `label${i}`).join(',')
+      expect(parsePriorityList(value, 20)).toHaveLength(20)
+    })
+
+    test('should handle empty and non-string input', () => {
+      expect(parsePriorityList('')).toEqual([])
+      expect(parsePriorityList(' , ,')).toEqual([])
+      expect(parsePriorityList(null)).toEqual([])
+      expect(parsePriorityList(42)).toEqual([])
+    })
+  })
+
+  describe('validateChoice fuzzing', () => {
+    test('should accept allowed values', () => {
+      expect(validateChoice('score', ['first-match', 'score'], 'first-match', 'ranking')).toBe('score')
+    })
+
+    test('should use the default for empty input', () => {
+      expect(validateChoice('', ['first-match', 'score'], 'first-match', 'ranking')).toBe('first-match')
+      expect(validateChoice(undefined, ['first-match', 'score'], 'first-match', 'ranking')).toBe('first-match')
+    })
+
+    test('should reject unknown values', () => {
+      expect(() => validateChoice('random', ['first-match', 'score'], 'first-match', 'ranking'))
+        .toThrow('Invalid ranking: "random"')
+    })
+  })
+
+  describe('parseChoiceList fuzzing', () => {
+    const methods = ['label', 'reaction', 'comment']
+
+    test('should parse and de-duplicate allowed values in order', () => {
+      expect(parseChoiceList(' reaction, label ,reaction,', methods, 'label', 'approval-methods'))
+        .toEqual(['reaction', 'label'])
+    })
+
+    test('should use the default for empty input', () => {
+      expect(parseChoiceList('', methods, 'label', 'approval-methods')).toEqual(['label'])
+      expect(parseChoiceList(undefined, methods, 'label', 'approval-methods')).toEqual(['label'])
+      expect(parseChoiceList('  ', methods, 'label', 'approval-methods')).toEqual(['label'])
+    })
+
+    test('should reject unknown values', () => {
+      expect(() => parseChoiceList('label,emoji', methods, 'label', 'approval-methods'))
+        .toThrow('Invalid approval-methods: "emoji"')
+      expect(parseChoiceList(',', methods, 'label', 'approval-methods')).toEqual(['label'])
+    })
+  })
+
+  describe('parseScoreWeights fuzzing', () => {
+    test('should parse known components', () => {
+      expect(parseScoreWeights('label:5, age:0')).toEqual({ label: 5, age: 0 })
+    })
+
+    test('should return empty overrides for empty input', () => {
+      expect(parseScoreWeights('')).toEqual({})
+      expect(parseScoreWeights(null)).toEqual({})
+    })
+
+    test('should reject unknown components', () => {
+      expect(() => parseScoreWeights('popularity:5')).toThrow('Unknown score component')
+    })
+
+    test('should reject invalid weights', () => {
+      expect(() => parseScoreWeights('label')).toThrow('Invalid integer')
+      expect(() => parseScoreWeights('label:101')).toThrow('out of range')
+    })
+  })
+
+  describe('parseProjectReference fuzzing', () => {
+    test('should parse owner and number', () => {
+      expect(parseProjectReference('my-org/5')).toEqual({ owner: 'my-org', number: 5 })
+      expect(parseProjectReference(' octocat/12 ')).toEqual({ owner: 'octocat', number: 12 })
+    })
+
+    test('should return null for empty input', () => {
+      expect(parseProjectReference('')).toBeNull()
+      expect(parseProjectReference('  ')).toBeNull()
+      expect(parseProjectReference(null)).toBeNull()
+    })
+
+    test('should reject malformed references', () => {
+      expect(() => parseProjectReference('my-org')).toThrow('Invalid project reference')
+      expect(() => parseProjectReference('my-org/abc')).toThrow('Invalid project reference')
+      expect(() => parseProjectReference('../5')).toThrow('Invalid project reference')
+      expect(() => parseProjectReference('org"){/5')).toThrow('Invalid project reference')
+      expect(() => parseProjectReference('my-org/0')).toThrow('out of range')
+    })
+  })
+
+  describe('parseNameList fuzzing', () => {
+    test('should split and trim names with any characters', () => {
+      expect(parseNameList('🔥 High, Medium ,Low')).toEqual(['🔥 High', 'Medium', 'Low'])
+    })
+
+    test('should drop empty and overly long names', () => {
+      expect(parseNameList('a,,  ,' + 'x'.repeat(101))).toEqual(['a'])
+    })
+
+    test('should limit the number of names', () => {
+      expect(parseNameList(Array(30).fill('a').join(','), 20)).toHaveLength(20)
+    })
+
+    test('should handle non-string input', () => {
+      expect(parseNameList(undefined)).toEqual([])
+    })
+  })
+
+  describe('parseLoginList fuzzing', () => {
+    test('should parse user and bot logins in order', () => {
+      expect(parseLoginList('copilot-swe-agent, octo-dev,docs-bot[bot]')).toEqual([
+        'copilot-swe-agent',
+        'octo-dev',
+        'docs-bot[bot]'
+      ])
+    })
+
+    test('should ignore duplicates case-insensitively', () => {
+      expect(parseLoginList('Octo,octo,,OCTO')).toEqual(['Octo'])
+    })
+
+    test('should reject injection attempts', () => {
+      expect(() => parseLoginList('octo") { id }')).toThrow('Invalid login')
+      expect(() => parseLoginList('-leading-dash')).toThrow('Invalid login')
+      expect(() => parseLoginList('a'.repeat(40))).toThrow('Invalid login')
+    })
+
+    test('should limit the number of logins', () => {
+      const logins = Array.from({ length: 15 }, (_, index) => `agent-${index}`).join(',')
+      expect(parseLoginList(logins, 10)).toHaveLength(10)
+    })
+
+    test('should handle non-string input', () => {
+      expect(parseLoginList(null)).toEqual([])
+    })
+  })
+
+  describe('parseAgentRouting fuzzing', () => {
+    test('should parse label to agent routes', () => {
+      expect(parseAgentRouting('documentation:docs-bot, good first issue:octo-dev')).toEqual([
+        { label: 'documentation', agent: 'docs-bot' },
+        { label: 'good first issue', agent: 'octo-dev' }
+      ])
+    })
+
+    test('should keep the first route per label', () => {
+      expect(parseAgentRouting('bug:a,bug:b')).toEqual([{ label: 'bug', agent: 'a' }])
+    })
+
+    test('should reject malformed routes', () => {
+      expect(() => parseAgentRouting('documentation')).toThrow('Invalid agent route')
+      expect(() => parseAgentRouting(':docs-bot')).toThrow('Invalid agent route')
+      expect(() => parseAgentRouting('docs:bad login')).toThrow('Invalid login')
+      expect(() => parseAgentRouting('do"cs:docs-bot')).toThrow('invalid characters')
+    })
+
+    test('should handle non-string input', () => {
+      expect(parseAgentRouting(undefined)).toEqual([])
+    })
+  })
+
+  describe('parsePattern fuzzing', () => {
+    test('should compile case-insensitive patterns', () => {
+      const pattern = parsePattern('  migration|database ', 'exclude-pattern')
+      expect(pattern.test('DATABASE upgrade')).toBe(true)
+      expect(pattern.flags).toBe('i')
+    })
+
+    test('should return null for empty input', () => {
+      expect(parsePattern('', 'include-pattern')).toBeNull()
+      expect(parsePattern(undefined, 'include-pattern')).toBeNull()
+    })
+
+    test('should reject invalid and overly long patterns', () => {
+      expect(() => parsePattern('(unclosed', 'include-pattern')).toThrow('Invalid include-pattern')
+      expect(() => parsePattern('a'.repeat(201), 'include-pattern')).toThrow('pattern too long')
+    })
+  })
+
+  describe('parseEffort fuzzing', () => {
+    test('should accept sizes and numbers', () => {
+      expect(parseEffort('s')).toBe(2)
+      expect(parseEffort(' XL ')).toBe(8)
+      expect(parseEffort('13')).toBe(13)
+      expect(parseEffort('0.5')).toBe(0.5)
+      expect(parseEffort('')).toBeNull()
+    })
+
+    test('should reject unknown sizes and out-of-range values', () => {
+      expect(() => parseEffort('XXL')).toThrow('Invalid max-effort')
+      expect(() => parseEffort('-1')).toThrow('Invalid max-effort')
+      expect(() => parseEffort('1001')).toThrow('Invalid max-effort')
+      expect(() => parseEffort('1e3')).toThrow('Invalid max-effort')
+    })
+  })
 })
@@ -9,26 +9,124 @@
 
 const fs = require('fs')
 const path = require('path')
+const vm = require('vm')
 const logger = require('./logger.js')
 
 // Constants
 const MS_PER_DAY = 1000 * 60 * 60 * 24
+const MILESTONE_HORIZON_DAYS = 30
+const PATTERN_TIMEOUT_MS = 50
+const MAX_PATTERN_TEXT_LENGTH = 65536
+
+// Effort points for t-shirt sizes (size labels, "Estimate:" lines and max-effort)
+const EFFORT_SIZES = {
+  XS: 1,
+  S: 2,
+  M: 3,
+  L: 5,
+  XL: 8
+}
+
+// Approval reaction names (as in the REST API) and their GraphQL ReactionContent values
+const REACTION_CONTENT = {
+  '+1': 'THUMBS_UP',
+  '-1': 'THUMBS_DOWN',
+  laugh: 'LAUGH',
+  confused: 'CONFUSED',
+  heart: 'HEART',
+  hooray: 'HOORAY',
+  rocket: 'ROCKET',
+  eyes: 'EYES'
+}
+
+// Comment line that approves an issue with the 'comment' approval method
+const APPROVAL_COMMAND_PATTERN = /^[ \t]*\/copilot[ \t]+approve[ \t]*$/im
+
+// Repository roles, lowest first (collaborator permission API role names)
+const PERMISSION_LEVELS = ['none', 'read', 'triage', 'write', 'maintain', 'admin']
+
+// Isolated context used to run user-supplied patterns with a time limit
+const patternContext = vm.createContext({})
+const patternScript = new vm.Script('pattern.test(text)')
+
+// Multipliers applied to each score component when ranking candidates
+const DEFAULT_SCORE_WEIGHTS = {
+  label: 10,
+  age: 1,
+  reactions: 2,
+  comments: 1,
+  milestone: 1,
+  project: 10,
+  type: 10
+}
 
 /**
  * Check if an issue should be skipped for assignment
  * @param {Object} issue - Issue object from parseIssueData
  * @param {boolean} issue.isAssigned - Whether issue already has assignees
  * @param {boolean} issue.hasSubIssues - Whether issue has any sub-issues (open or closed)
+ * @param {number} [issue.openSubIssueCount] - Number of open sub-issues
+ * @param {Array<string>} [issue.openBlockers] - References of open issues blocking this one
+ * @param {boolean} [issue.dependenciesUnknown] - Whether the issue dependencies could not be read
+ * @param {Array<number>} [issue.openLinkedPullRequests] - Open pull requests that will close this issue
+ * @param {Array<string>} [issue.linkedBranches] - Development branches linked to this issue
+ * @param {number} [issue.failedAttempts] - Linked pull requests that were closed without merging
  * @param {boolean} [allowParentIssues=false] - Whether to allow assigning issues with sub-issues (default: false)
  * @param {Array<string>} [skipLabels=[]] - Array of label names to skip (default: empty array)
+ * @param {Object} [options={}] - Additional eligibility rules
+ * @param {Set<number>} [options.excludedIssueNumbers] - Issue numbers already selected in this run
+ * @param {{field: string, value: string}} [options.projectStatus] - Required project status field value
+ * @param {boolean} [options.allowCompletedParentIssues] - Allow parent issues whose sub-issues are all closed
+ * @param {string} [options.subIssuePolicy] - 'exclude' skips sub-issues
+ * @param {RegExp} [options.includePattern] - Title/body must match this pattern
+ * @param {RegExp} [options.excludePattern] - Title/body must not match this pattern
+ * @param {number} [options.maxEffort] - Maximum effort points; issues with a larger estimate are skipped
+ * @param {string} [options.estimateField] - Project number field holding the estimate
+ * @param {number} [options.maxAttempts] - Failed attempts after which the issue is skipped
  * @returns {Object} - {shouldSkip: boolean, reason: string}
  */
-function shouldSkipIssue (issue, allowParentIssues = false, skipLabels = []) {
+function shouldSkipIssue (issue, allowParentIssues = false, skipLabels = [], options = {}) {
   if (issue.isAssigned) {
     return { shouldSkip: true, reason: 'already assigned' }
   }
+  if (options.excludedIssueNumbers?.has(issue.number)) {
+    return { shouldSkip: true, reason: 'already selected in this run' }
+  }
   if (issue.hasSubIssues && !allowParentIssues) {
-    return { shouldSkip: true, reason: 'has sub-issues' }
+    const isCompletedParent = issue.openSubIssueCount === 0
+    if (!isCompletedParent || !options.allowCompletedParentIssues) {
+      return { shouldSkip: true, reason: isCompletedParent ? 'has sub-issues (all closed)' : 'has sub-issues' }
+    }
+  }
+  if (issue.isSubIssue && options.subIssuePolicy === 'exclude') {
+    return { shouldSkip: true, reason: 'is a sub-issue' }
+  }
+  if (issue.openBlockers?.length > 0) {
+    return {
+      shouldSkip: true,
+      reason: `blocked by open issue ${issue.openBlockers.join(', ')}`
+    }
+  }
+  if (issue.dependenciesUnknown) {
+    return { shouldSkip: true, reason: 'dependencies could not be read' }
+  }
+  if (issue.openLinkedPullRequests?.length > 0) {
+    return {
+      shouldSkip: true,
+      reason: `has open linked pull request ${issue.openLinkedPullRequests.map((number) => `#${number}`).join(', ')}`
+    }
+  }
+  if (issue.linkedBranches?.length > 0) {
+    return {
+      shouldSkip: true,
+      reason: `has linked branch ${issue.linkedBranches.join(', ')}`
+    }
+  }
+  if (options.maxAttempts && issue.failedAttempts >= options.maxAttempts) {
+    return {
+      shouldSkip: true,
+      reason: `reached max-attempts (${issue.failedAttempts} pull requests closed without merging)`
+    }
   }
   if (skipLabels.length > 0 && issue.labels) {
     const issueLabels = issue.labels.map((l) => l.name)
@@ -39,9 +137,185 @@ function shouldSkipIssue (issue, allowParentIssues = false, skipLabels = []) {
       return { shouldSkip: true, reason: `has skip label: ${matchedLabel}` }
     }
   }
+  if (options.excludePattern || options.includePattern) {
+    // Patterns that time out fail closed: the issue is skipped
+    const text = `${issue.title || ''}\n${issue.body || ''}`
+    if (options.excludePattern) {
+      const { matched, timedOut } = matchesPattern(options.excludePattern, text)
+      if (matched || timedOut) {
+        return {
+          shouldSkip: true,
+          reason: timedOut ? 'exclude-pattern timed out' : 'matches exclude-pattern'
+        }
+      }
+    }
+    if (options.includePattern) {
+      const { matched, timedOut } = matchesPattern(options.includePattern, text)
+      if (!matched) {
+        return {
+          shouldSkip: true,
+          reason: timedOut ? 'include-pattern timed out' : 'does not match include-pattern'
+        }
+      }
+    }
+  }
+  if (options.maxEffort != null) {
+    const estimate = getEffortEstimate(issue, options.estimateField)
+    if (estimate && estimate.points > options.maxEffort) {
+      return {
+        shouldSkip: true,
+        reason: `estimate ${estimate.display} (${estimate.source}) exceeds max-effort ${options.maxEffort}`
+      }
+    }
+  }
+  if (options.projectStatus?.value) {
+    const { field, value } = options.projectStatus
+    if (!issue.projectFields) {
+      return { shouldSkip: true, reason: 'not in project' }
+    }
+    if (issue.projectFields[field] !== value) {
+      return {
+        shouldSkip: true,
+        reason: `project ${field} is "${issue.projectFields[field] ?? 'unset'}"`
+      }
+    }
+  }
   return { shouldSkip: false, reason: null }
 }
 
+/**
+ * Test a user-supplied pattern against text with a time limit
+ * Guards against catastrophic backtracking; overly long text is truncated.
+ * @param {RegExp} pattern - Pattern to test (must not use the global or sticky flag)
+ * @param {string} text - Text to search
+ * @param {number} [timeoutMs=50] - Maximum matching time in milliseconds
+ * @returns {{matched: boolean, timedOut: boolean}} - Match result
+ */
+function matchesPattern (pattern, text, timeoutMs = PATTERN_TIMEOUT_MS) {
+  patternContext.pattern = pattern
+  patternContext.text = String(text || '').slice(0, MAX_PATTERN_TEXT_LENGTH)
+
+  try {
+    return { matched: patternScript.runInContext(patternContext, { timeout: timeoutMs }), timedOut: false }
+  } catch (error) {
+    if (error.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      throw error
+    }
+    logger.warning(`Pattern ${pattern} timed out after ${timeoutMs}ms`)
+    return { matched: false, timedOut: true }
+  } finally {
+    patternContext.pattern = null
+    patternContext.text = null
+  }
+}
+
+/**
+ * Convert a size name (XS..XL) or number into effort points
+ * @param {string|number} value - Size name or numeric estimate
+ * @returns {number|null} - Effort points or null when not recognised
+ */
+function toEffortPoints (value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0 ? value : null
+  }
+
+  const trimmed = String(value ?? '').trim()
+  const size = EFFORT_SIZES[trimmed.toUpperCase()]
+  if (size) {
+    return size
+  }
+
+  return /^\d+(\.\d+)?$/.test(trimmed) ? parseFloat(trimmed) : null
+}
+
+/**
+ * Find the effort estimate of an issue
+ * Sources, first match wins: a size label ("size:S"), the project estimate
+ * field, or an "Estimate: 3" / "Estimate: M" line in the body.
+ * @param {Object} issue - Issue object from parseIssueData
+ * @param {string} [estimateField='Estimate'] - Project number field holding the estimate
+ * @returns {{points: number, display: string, source: string}|null} - Estimate or null when none is found
+ */
+function getEffortEstimate (issue, estimateField = 'Estimate') {
+  for (const label of normalizeIssueLabels(issue)) {
+    const match = label.name.match(/^size:\s*(\S+)$/i)
+    const points = match ? toEffortPoints(match[1]) : null
+    if (points !== null) {
+      return { points, display: match[1], source: `label "${label.name}"` }
+    }
+  }
+
+  const fieldValue = issue.projectFields?.[estimateField]
+  const fieldPoints = fieldValue == null ? null : toEffortPoints(fieldValue)
+  if (fieldPoints !== null) {
+    return { points: fieldPoints, display: String(fieldValue), source: `project field "${estimateField}"` }
+  }
+
+  const bodyMatch = (issue.body || '').match(/^\s*(?:[-*]\s*)?(?:\*\*)?estimate(?:\*\*)?\s*:\s*(?:\*\*)?\s*([A-Za-z]+|\d+(?:\.\d+)?)/im)
+  const bodyPoints = bodyMatch ? toEffortPoints(bodyMatch[1]) : null
+  if (bodyPoints !== null) {
+    return { points: bodyPoints, display: bodyMatch[1], source: 'body' }
+  }
+
+  return null
+}
+
+/**
+ * Extract the field values of an issue's item in a Projects (v2) board
+ * @param {Object} issue - Raw issue with projectItems from GraphQL
+ * @param {{owner: string, number: number}|null} project - Project reference
+ * @returns {Object<string, string|number>|null} - Values keyed by field name, or null if the issue is not in the project
+ */
+function getProjectFieldValues (issue, project) {
+  if (!project) {
+    return null
+  }
+
+  const item = (issue.projectItems?.nodes || []).find((node) =>
+    node?.project?.number === project.number &&
+    node.project.owner?.login?.toLowerCase() === project.owner.toLowerCase()
+  )
+  if (!item) {
+    return null
+  }
+
+  return (item.fieldValues?.nodes || []).reduce((acc, fieldValue) => {
+    const fieldName = fieldValue?.field?.name
+    if (fieldName) {
+      acc[fieldName] = fieldValue.name ?? fieldValue.number ?? fieldValue.text ?? null
+    }
+    return acc
+  }, {})
+}
+
+/**
+ * Get the position of an issue's project priority in the configured order
+ * @param {Object} issue - Issue with projectFields
+ * @param {string} field - Priority field name
+ * @param {Array<string>} order - Priority option names, highest first
+ * @returns {number} - Index in order, or order.length when unset or unknown
+ */
+function getProjectPriorityRank (issue, field, order) {
+  const index = order.indexOf(issue.projectFields?.[field])
+  return index === -1 ? order.length : index
+}
+
+/**
+ * Order issues by project priority, keeping the existing order for ties
+ * @param {Array} issues - Issues with projectFields
+ * @param {string} field - Priority field name
+ * @param {Array<string>} order - Priority option names, highest first
+ * @returns {Array} - New array sorted by project priority (stable)
+ */
+function sortByProjectPriority (issues, field, order) {
+  if (!order?.length) {
+    return [...issues]
+  }
+  return [...issues].sort((a, b) =>
+    getProjectPriorityRank(a, field, order) - getProjectPriorityRank(b, field, order)
+  )
+}
+
 /**
  * Normalize labels from GraphQL response or flattened structure
  * @param {Object} issue - Issue with potentially different label structures
@@ -58,18 +332,22 @@ function normalizeIssueLabels (issue) {
  * @param {Array} assignedIssues - Array of issues currently assigned to Copilot
  * @param {string} mode - Assignment mode ('auto' or 'refactor')
  * @param {boolean} force - Whether to force assignment even if Copilot has work
- * @returns {Object} - {shouldAssign: boolean, reason: string}
+ * @param {number} [maxConcurrent=1] - Maximum number of open issues Copilot may hold at once
+ * @returns {Object} - {shouldAssign: boolean, reason: string, slots: number}
  */
-function shouldAssignNewIssue (assignedIssues, mode, force) {
+function shouldAssignNewIssue (assignedIssues, mode, force, maxConcurrent = 1) {
+  const freeSlots = Math.max(0, maxConcurrent - assignedIssues.length)
+
   if (assignedIssues.length === 0) {
-    return { shouldAssign: true, reason: 'Copilot has no assigned issues' }
+    return { shouldAssign: true, reason: 'Copilot has no assigned issues', slots: maxConcurrent }
   }
 
   // Force flag overrides all other checks in both modes
   if (force) {
     return {
       shouldAssign: true,
-      reason: 'Force flag is set'
+      reason: 'Force flag is set',
+      slots: Math.max(1, freeSlots)
     }
   }
 
@@ -82,23 +360,110 @@ function shouldAssignNewIssue (assignedIssues, mode, force) {
     if (hasRefactorIssue) {
       return {
         shouldAssign: false,
-        reason: 'Copilot already has a refactor issue assigned'
+        reason: 'Copilot already has a refactor issue assigned',
+        slots: 0
+      }
+    }
+    if (freeSlots > 0) {
+      return {
+        shouldAssign: true,
+        reason: `Copilot has capacity for a refactor issue (${assignedIssues.length} of ${maxConcurrent} slots used)`,
+        slots: 1
       }
     }
     // If working on non-refactor issues, skip to avoid disruption
     return {
       shouldAssign: false,
-      reason: 'Copilot is working on other issues, skipping refactor creation'
+      reason: 'Copilot is working on other issues, skipping refactor creation',
+      slots: 0
     }
   }
 
   // Auto mode
+  if (freeSlots > 0) {
+    return {
+      shouldAssign: true,
+      reason: `Copilot has ${assignedIssues.length} of ${maxConcurrent} assigned issues`,
+      slots: freeSlots
+    }
+  }
   return {
     shouldAssign: false,
-    reason: 'Copilot already has assigned issues and force=false'
+    reason: maxConcurrent > 1
+      ? `Copilot is at capacity (${assignedIssues.length} of ${maxConcurrent} assigned issues) and force=false`
+      : 'Copilot already has assigned issues and force=false',
+    slots: 0
   }
 }
 
+/**
+ * Collect the open pull requests that are linked to close an issue
+ * Combines closedByPullRequestsReferences with closing cross-references from
+ * the issue timeline (e.g. a PR body containing "Fixes #42").
+ * @param {Object} issue - Raw issue object from GraphQL
+ * @returns {Array<number>} - Open pull request numbers, ascending
+ */
+function getOpenLinkedPullRequests (issue) {
+  const numbers = new Set()
+
+  ;(issue.closedByPullRequestsReferences?.nodes || []).forEach((pr) => {
+    if (pr?.state === 'OPEN') {
+      numbers.add(pr.number)
+    }
+  })
+  ;(issue.timelineItems?.nodes || []).forEach((event) => {
+    if (event?.willCloseTarget && event.source?.state === 'OPEN' && event.source.number) {
+      numbers.add(event.source.number)
+    }
+  })
+
+  return [...numbers].sort((a, b) => a - b)
+}
+
+/**
+ * Count the linked pull requests that were closed without merging
+ * Each one is a failed attempt at the issue, whoever opened it.
+ * @param {Object} issue - Raw issue object from GraphQL
+ * @returns {number} - Number of distinct closed, unmerged pull requests
+ */
+function getFailedAttemptCount (issue) {
+  const numbers = new Set()
+
+  ;(issue.closedByPullRequestsReferences?.nodes || []).forEach((pr) => {
+    if (pr?.state === 'CLOSED') {
+      numbers.add(pr.number)
+    }
+  })
+  ;(issue.timelineItems?.nodes || []).forEach((event) => {
+    if (event?.willCloseTarget && event.source?.state === 'CLOSED' && event.source.number) {
+      numbers.add(event.source.number)
+    }
+  })
+
+  return numbers.size
+}
+
+/**
+ * Check whether an agent's assignment has stalled
+ * An assignment is stalled when the issue has no open linked pull request or
+ * linked branch and has not been updated for the given number of days.
+ * @param {Object} issue - Raw issue object from GraphQL (with updatedAt)
+ * @param {number} staleDays - Days without activity before the assignment is stalled
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {boolean} - True if the assignment should be reclaimed
+ */
+function isStalledAssignment (issue, staleDays, now = new Date()) {
+  if (!staleDays || !issue.updatedAt) {
+    return false
+  }
+  if (getOpenLinkedPullRequests(issue).length > 0 || issue.linkedBranches?.nodes?.length > 0) {
+    return false
+  }
+
+  const idleMs = now.getTime() - new Date(issue.updatedAt).getTime()
+  return idleMs >= staleDays * MS_PER_DAY
+}
+
 /**
  * Parse issue data from GraphQL response
  * @param {Object} issue - Raw issue object from GraphQL
@@ -114,46 +479,393 @@ function parseIssueData (issue) {
     body: issue.body || '',
     isAssigned: issue.assignees.nodes.length > 0,
     hasSubIssues: issue.trackedIssues?.totalCount > 0,
-    isSubIssue: issue.trackedInIssues?.totalCount > 0,
+    // Without a REST open/closed split, all sub-issues are treated as open
+    openSubIssueCount: issue.subIssueCounts
+      ? issue.subIssueCounts.open
+      : issue.trackedIssues?.totalCount || 0,
+    closedSubIssueCount: issue.subIssueCounts?.closed || 0,
+    isSubIssue: Boolean(issue.parentIssue) || issue.trackedInIssues?.totalCount > 0,
+    parentIssue: issue.parentIssue || null,
     isRefactorIssue: labels.some((l) => l.name === 'refactor'),
+    createdAt: issue.createdAt || null,
+    reactionCount: issue.reactions?.totalCount || 0,
+    commentCount: issue.comments?.totalCount || 0,
+    milestone: issue.milestone || null,
+    issueType: issue.issueType?.name || null,
+    projectFields: issue.projectFields || null,
+    openBlockers: issue.openBlockers || [],
+    dependenciesUnknown: Boolean(issue.dependenciesUnknown),
+    unapprovedLabels: issue.unapprovedLabels || [],
+    approvedBy: issue.approvedBy || [],
+    openLinkedPullRequests: getOpenLinkedPullRequests(issue),
+    failedAttempts: getFailedAttemptCount(issue),
+    linkedBranches: (issue.linkedBranches?.nodes || [])
+      .map((branch) => branch?.ref?.name)
+      .filter(Boolean),
     labels
   }
 }
 
 /**
- * Find the first assignable issue from a list
+ * Get the ordering rank of an issue under a sub-issue policy (lower comes first)
+ * @param {Object} issue - Issue object from parseIssueData
+ * @param {string} [policy] - 'prefer' puts sub-issues first, 'deprioritize' puts them last
+ * @returns {number} - 0 or 1
+ */
+function getSubIssueRank (issue, policy) {
+  if (policy === 'prefer') {
+    return issue.isSubIssue ? 0 : 1
+  }
+  if (policy === 'deprioritize') {
+    return issue.isSubIssue ? 1 : 0
+  }
+  return 0
+}
+
+/**
+ * Filter a list of issues down to the assignable ones
+ * Order is preserved, except that options.subIssuePolicy 'prefer' or
+ * 'deprioritize' moves sub-issues to the front or back (stable).
  * @param {Array} issues - Array of issue objects from GraphQL
  * @param {boolean} allowParentIssues - Whether to allow assigning issues with sub-issues (open or closed)
  * @param {Array<string>} [skipLabels=[]] - Array of label names to skip (default: empty array)
- * @param {string|null} [requiredLabel=null] - Label that must be present for assignment (default: null)
- * @returns {Object|null} - First assignable issue or null
+ * @param {string|Array<string>|null} [requiredLabel=null] - Label or labels that must be present for assignment (default: null)
+ * @param {Object} [options={}] - Additional eligibility rules passed to shouldSkipIssue
+ * @param {boolean} [options.inheritParentApproval] - Accept the required label on a sub-issue's parent
+ * @param {string} [options.requiredLabelMode='all'] - 'all' or 'any' of several required labels
+ * @returns {Array<Object>} - Parsed assignable issues
  */
-function findAssignableIssue (
+function filterAssignableIssues (
   issues,
   allowParentIssues = false,
   skipLabels = [],
-  requiredLabel = null
+  requiredLabel = null,
+  options = {}
 ) {
-  for (const issue of issues) {
-    const parsed = parseIssueData(issue)
+  return issues.map(parseIssueData).filter((parsed) => {
     const { shouldSkip } = shouldSkipIssue(
       parsed,
       allowParentIssues,
-      skipLabels
+      skipLabels,
+      options
     )
 
     if (shouldSkip) {
-      continue
+      return false
     }
 
-    // Check if the issue has the required label (if specified)
-    if (!hasRequiredLabel(parsed, requiredLabel)) {
-      continue
+    // Check if the issue (or, when inherited, its parent) has the required label
+    return hasRequiredLabel(parsed, requiredLabel, options.requiredLabelMode) ||
+      Boolean(options.inheritParentApproval && parsed.parentIssue &&
+        hasRequiredLabel(parsed.parentIssue, requiredLabel, options.requiredLabelMode))
+  }).sort((a, b) =>
+    getSubIssueRank(a, options.subIssuePolicy) - getSubIssueRank(b, options.subIssuePolicy)
+  )
+}
+
+/**
+ * Find the first assignable issue from a list
+ * @param {Array} issues - Array of issue objects from GraphQL
+ * @param {boolean} allowParentIssues - Whether to allow assigning issues with sub-issues (open or closed)
+ * @param {Array<string>} [skipLabels=[]] - Array of label names to skip (default: empty array)
+ * @param {string|Array<string>|null} [requiredLabel=null] - Label or labels that must be present for assignment (default: null)
+ * @param {Object} [options={}] - Additional eligibility rules passed to shouldSkipIssue
+ * @returns {Object|null} - First assignable issue or null
+ */
+function findAssignableIssue (
+  issues,
+  allowParentIssues = false,
+  skipLabels = [],
+  requiredLabel = null,
+  options = {}
+) {
+  return filterAssignableIssues(
+    issues,
+    allowParentIssues,
+    skipLabels,
+    requiredLabel,
+    options
+  )[0] || null
+}
+
+/**
+ * Calculate a ranking score for a parsed issue
+ * Components: label (highest matching label weight), age (weeks since creation),
+ * reactions, comments, milestone (days closer than 30 to the due date),
+ * project (position in the project priority order, highest first) and
+ * type (priority weight of the issue type)
+ * @param {Object} issue - Issue object from parseIssueData
+ * @param {Object} [options={}] - Scoring options
+ * @param {Object<string, number>} [options.labelWeights={}] - Priority weight per label name
+ * @param {Object<string, number>} [options.typeWeights={}] - Priority weight per issue type name
+ * @param {Object<string, number>} [options.weights={}] - Multiplier overrides per component
+ * @param {{field: string, order: Array<string>}} [options.projectPriority] - Project priority field and option order
+ * @param {Date} [options.now=new Date()] - Reference time for age and due date
+ * @returns {{total: number, breakdown: Object<string, number>}} - Total score and weighted components
+ */
+function scoreIssue (issue, { labelWeights = {}, typeWeights = {}, weights = {}, projectPriority = null, now = new Date() } = {}) {
+  const multipliers = { ...DEFAULT_SCORE_WEIGHTS, ...weights }
+  const round = (value) => Math.round(value * 100) / 100
+
+  const labelWeight = normalizeIssueLabels(issue).reduce(
+    (max, label) => Math.max(max, labelWeights[label.name] || 0),
+    0
+  )
+
+  const createdAt = issue.createdAt ? new Date(issue.createdAt) : null
+  const ageWeeks = createdAt && !isNaN(createdAt)
+    ? Math.max(0, (now - createdAt) / MS_PER_DAY / 7)
+    : 0
+
+  const dueOn = issue.milestone?.dueOn ? new Date(issue.milestone.dueOn) : null
+  const milestoneUrgency = dueOn && !isNaN(dueOn)
+    ? Math.min(
+      MILESTONE_HORIZON_DAYS,
+      Math.max(0, MILESTONE_HORIZON_DAYS - (dueOn - now) / MS_PER_DAY)
+    )
+    : 0
+
+  const projectOrder = projectPriority?.order || []
+  const projectRank = projectOrder.length
+    ? projectOrder.length - getProjectPriorityRank(issue, projectPriority.field, projectOrder)
+    : 0
+
+  const raw = {
+    label: labelWeight,
+    age: ageWeeks,
+    reactions: issue.reactionCount || 0,
+    comments: issue.commentCount || 0,
+    milestone: milestoneUrgency,
+    project: projectRank,
+    type: (issue.issueType && typeWeights[issue.issueType]) || 0
+  }
+
+  const breakdown = Object.keys(raw).reduce((acc, key) => {
+    acc[key] = round(raw[key] * (multipliers[key] || 0))
+    return acc
+  }, {})
+
+  const total = round(
+    Object.values(breakdown).reduce((sum, value) => sum + value, 0)
+  )
+
+  return { total, breakdown }
+}
+
+/**
+ * Rank assignable issues by score, highest first
+ * Ties keep the input order; a sub-issue policy takes precedence over the score.
+ * @param {Array} issues - Array of issue objects from GraphQL
+ * @param {boolean} allowParentIssues - Whether to allow assigning issues with sub-issues (open or closed)
+ * @param {Array<string>} [skipLabels=[]] - Array of label names to skip (default: empty array)
+ * @param {string|Array<string>|null} [requiredLabel=null] - Label or labels that must be present for assignment (default: null)
+ * @param {Object} [scoreOptions={}] - Options passed to scoreIssue
+ * @param {Object} [options={}] - Additional eligibility rules passed to shouldSkipIssue
+ * @returns {Array<{issue: Object, score: {total: number, breakdown: Object}}>} - Ranked candidates
+ */
+function rankAssignableIssues (
+  issues,
+  allowParentIssues = false,
+  skipLabels = [],
+  requiredLabel = null,
+  scoreOptions = {},
+  options = {}
+) {
+  return filterAssignableIssues(
+    issues,
+    allowParentIssues,
+    skipLabels,
+    requiredLabel,
+    options
+  )
+    .map((issue) => ({ issue, score: scoreIssue(issue, scoreOptions) }))
+    .sort((a, b) =>
+      getSubIssueRank(a.issue, options.subIssuePolicy) - getSubIssueRank(b.issue, options.subIssuePolicy) ||
+      b.score.total - a.score.total
+    )
+}
+
+/**
+ * Select the preferred milestone from a list of open milestones
+ * @param {Array} milestones - Open milestones ({ number, title, dueOn })
+ * @param {string} preference - 'nearest' for the nearest due date, otherwise a milestone title
+ * @returns {Object|null} - Selected milestone or null when none matches
+ */
+function selectMilestone (milestones, preference) {
+  if (!preference || !Array.isArray(milestones)) {
+    return null
+  }
+
+  if (preference === 'nearest') {
+    return milestones
+      .filter((milestone) => milestone.dueOn)
+      .reduce((nearest, milestone) => {
+        if (!nearest || new Date(milestone.dueOn) < new Date(nearest.dueOn)) {
+          return milestone
+        }
+        return nearest
+      }, null)
+  }
+
+  return milestones.find((milestone) => milestone.title === preference) || null
+}
+
+/**
+ * Order issues by label priority, keeping creation order within each label
+ * Issues without any priority label are placed last.
+ * @param {Array} issues - Array of issue objects
+ * @param {Array<string>} priorityLabels - Label names, highest priority first
+ * @returns {Array} - New array sorted by label priority (stable)
+ */
+function sortByLabelPriority (issues, priorityLabels) {
+  const rank = (issue) => {
+    const names = normalizeIssueLabels(issue).map((label) => label.name)
+    const index = priorityLabels.findIndex((label) => names.includes(label))
+    return index === -1 ? priorityLabels.length : index
+  }
+
+  return [...issues].sort((a, b) => rank(a) - rank(b))
+}
+
+/**
+ * Select the open issues of a given issue type, oldest first
+ * @param {Array} issues - Raw issue objects with issueType from GraphQL
+ * @param {string} typeName - Issue type name (e.g. 'Bug')
+ * @returns {Array} - Matching issues sorted by creation date (stable)
+ */
+function filterByIssueType (issues, typeName) {
+  const time = (issue) => (issue.createdAt ? new Date(issue.createdAt).getTime() : 0)
+
+  return issues
+    .filter((issue) => issue.issueType?.name === typeName)
+    .sort((a, b) => time(a) - time(b))
+}
+
+/**
+ * Resolve configured agent logins against the repository's assignable actors
+ * Logins match case-insensitively, ignoring a "[bot]" suffix, and may refer
+ * to bots or users.
+ * @param {Array} actors - suggestedActors nodes ({ login, __typename, id })
+ * @param {Array<string>} logins - Agent logins in configured order
+ * @returns {Array<{login: string, id: string}>} - Found agents, in configured order
+ */
+function findAgents (actors, logins) {
+  if (!Array.isArray(actors) || !Array.isArray(logins)) {
+    return []
+  }
+
+  const normalize = (login) => String(login || '').toLowerCase().replace(/\[bot\]$/, '')
+
+  return logins.reduce((acc, login) => {
+    const actor = actors.find((candidate) =>
+      (candidate.__typename === 'Bot' || candidate.__typename === 'User') &&
+      normalize(candidate.login) === normalize(login)
+    )
+    if (actor && !acc.some((agent) => agent.id === actor.id)) {
+      acc.push({ login: actor.login, id: actor.id })
     }
+    return acc
+  }, [])
+}
+
+/**
+ * Choose the agent that should receive an issue
+ * Label routes win over the strategy: a routed issue only goes to its agent.
+ * Strategies: 'fill' takes the first agent with a free slot, 'least-loaded'
+ * the one with the fewest open assignments, 'round-robin' rotates from `turn`.
+ * @param {Object} issue - Issue to assign
+ * @param {Array<{agent: Object, slots: number, load: number}>} agentSlots - Free slots and
+ *   current load per agent, in configured order
+ * @param {Object} [options] - Selection options
+ * @param {string} [options.strategy='fill'] - Agent selection strategy
+ * @param {Array<{label: string, agent: string}>} [options.routing=[]] - Label to agent routes
+ * @param {number} [options.turn=0] - Round-robin position
+ * @returns {{agent: Object|null, reason: string}} - Selected agent (null when none can take the issue)
+ */
+function selectAgent (issue, agentSlots, { strategy = 'fill', routing = [], turn = 0 } = {}) {
+  const labelNames = normalizeIssueLabels(issue).map((label) => label.name)
+  const route = routing.find((entry) => labelNames.includes(entry.label))
 
-    return parsed
+  if (route) {
+    const entry = agentSlots.find(
+      (candidate) => candidate.agent.login.toLowerCase() === route.agent.toLowerCase()
+    )
+    if (!entry || entry.slots <= 0) {
+      return {
+        agent: null,
+        reason: `routed to ${route.agent} by label "${route.label}", which has no free slot`
+      }
+    }
+    return { agent: entry.agent, reason: `routed by label "${route.label}"` }
   }
-  return null
+
+  const available = agentSlots.filter((entry) => entry.slots > 0)
+  if (available.length === 0) {
+    return { agent: null, reason: 'no agent has a free slot' }
+  }
+
+  if (strategy === 'least-loaded') {
+    const leastLoaded = available.reduce((best, entry) => (entry.load < best.load ? entry : best))
+    return { agent: leastLoaded.agent, reason: `least loaded (${leastLoaded.load} open assignments)` }
+  }
+
+  if (strategy === 'round-robin') {
+    const start = Math.abs(turn) % agentSlots.length
+    const rotated = [...agentSlots.slice(start), ...agentSlots.slice(0, start)]
+    const next = rotated.find((entry) => entry.slots > 0)
+    return { agent: next.agent, reason: 'next in round-robin order' }
+  }
+
+  return { agent: available[0].agent, reason: 'first agent with a free slot' }
+}
+
+/**
+ * Find the most recently closed issue assigned to one of the given actors
+ * @param {Array} closedIssues - Closed issues with closedAt and assignees
+ * @param {Array<string>} assigneeIds - Node IDs of the actors (e.g. the configured agents)
+ * @returns {Object|null} - Most recently closed matching issue or null
+ */
+function findMostRecentlyClosed (closedIssues, assigneeIds) {
+  if (!Array.isArray(closedIssues)) {
+    return null
+  }
+
+  return closedIssues
+    .filter((issue) =>
+      issue.closedAt &&
+      issue.assignees?.nodes?.some((assignee) => assigneeIds.includes(assignee.id))
+    )
+    .reduce((latest, issue) => {
+      if (!latest || new Date(issue.closedAt) > new Date(latest.closedAt)) {
+        return issue
+      }
+      return latest
+    }, null)
+}
+
+/**
+ * Extract issue numbers from "Blocked by #123" / "Depends on #123" lines
+ * Only same-repository references are returned; a line may list several issues.
+ * @param {string} body - Issue body
+ * @returns {Array<number>} - Referenced issue numbers, in order of appearance
+ */
+function parseBlockingReferences (body) {
+  if (!body || typeof body !== 'string') {
+    return []
+  }
+
+  const numbers = new Set()
+  body.split(/\r?\n/).forEach((line) => {
+    const match = line.match(/^\s*(?:[-*>]\s*)*(?:\*\*)?(?:blocked by|depends on)\b(.*)$/i)
+    if (!match) {
+      return
+    }
+    for (const ref of match[1].matchAll(/(?<![\w/])#(\d+)\b/g)) {
+      numbers.add(parseInt(ref[1], 10))
+    }
+  })
+
+  return [...numbers]
 }
 
 /**
@@ -370,29 +1082,159 @@ function shouldWaitForCooldown (closedIssues, cooldownDays = 7) {
 }
 
 /**
- * Check if an issue has the required label for assignment
- * @param {Object} issue - Issue object with labels
- * @param {string|null} requiredLabel - Label that must be present (null or empty string means no requirement)
- * @returns {boolean} - True if issue has the required label or no label is required
+ * Check if an issue has the required label(s) for assignment
+ * @param {Object} issue - Issue object with labels (and optional unapprovedLabels to ignore,
+ *                         or approvedBy listing other approval methods that satisfy the requirement)
+ * @param {string|Array<string>|null} requiredLabel - Label or labels that must be present (null, empty string or empty array means no requirement)
+ * @param {string} [mode='all'] - With several labels: 'all' requires every label, 'any' requires at least one
+ * @returns {boolean} - True if issue has the required label(s) or no label is required
  */
-function hasRequiredLabel (issue, requiredLabel) {
-  if (!requiredLabel?.trim()) {
+function hasRequiredLabel (issue, requiredLabel, mode = 'all') {
+  const required = (Array.isArray(requiredLabel) ? requiredLabel : [requiredLabel])
+    .filter((label) => label?.trim())
+  if (required.length === 0) {
     return true
   }
 
-  const labels = normalizeIssueLabels(issue)
-  return labels.some((label) => label.name === requiredLabel)
+  // Approval given another way (reaction or comment) replaces the label
+  if (issue.approvedBy?.length > 0) {
+    return true
+  }
+
+  // Labels whose labeler failed verification do not count as approval
+  const unapproved = issue.unapprovedLabels || []
+  const names = normalizeIssueLabels(issue)
+    .map((label) => label.name)
+    .filter((name) => !unapproved.includes(name))
+  return mode === 'any'
+    ? required.some((label) => names.includes(label))
+    : required.every((label) => names.includes(label))
+}
+
+/**
+ * Find the most recent event that added a label to an issue
+ * @param {Array} events - Timeline nodes, oldest first; LabeledEvents have { createdAt, label: { name }, actor: { login } }
+ * @param {string} labelName - Label to look for
+ * @returns {Object|null} - The LabeledEvent, or null if none was found
+ */
+function findLabelEvent (events, labelName) {
+  return [...(events || [])].reverse().find((e) => e?.label?.name === labelName) || null
+}
+
+/**
+ * List the title and body edits of an issue made after a point in time
+ * @param {Object} history - GraphQL issue with userContentEdits (body) and RenamedTitleEvent timeline nodes
+ * @param {string} since - ISO timestamp, e.g. when the approval label was added
+ * @returns {Array<{login: string|null, at: string, field: string}>} - Edits, oldest first ('title' or 'description')
+ */
+function getContentEditsSince (history, since) {
+  const sinceTime = new Date(since).getTime()
+
+  const bodyEdits = (history?.userContentEdits?.nodes || [])
+    .filter((edit) => edit?.editedAt)
+    .map((edit) => ({ login: edit.editor?.login || null, at: edit.editedAt, field: 'description' }))
+  const titleEdits = (history?.timelineItems?.nodes || [])
+    .filter((event) => event?.__typename === 'RenamedTitleEvent' && event.createdAt)
+    .map((event) => ({ login: event.actor?.login || null, at: event.createdAt, field: 'title' }))
+
+  return [...bodyEdits, ...titleEdits]
+    .filter((edit) => new Date(edit.at).getTime() > sinceTime)
+    .sort((a, b) => new Date(a.at) - new Date(b.at))
+}
+
+/**
+ * List the actions that may approve an issue with a reaction or comment, newest first
+ * Reactions must already be limited to the approval reaction; comments must
+ * contain a line reading "/copilot approve".
+ * @param {Object} history - GraphQL issue with reactions and comments nodes
+ * @param {string} method - 'reaction' or 'comment'
+ * @returns {Array<{login: string, at: string}>} - Approving actors and times
+ */
+function getApprovalActions (history, method) {
+  const actions = method === 'reaction'
+    ? (history?.reactions?.nodes || []).map((reaction) => ({ login: reaction?.user?.login, at: reaction?.createdAt }))
+    : (history?.comments?.nodes || [])
+        .filter((comment) => APPROVAL_COMMAND_PATTERN.test(comment?.body || ''))
+        .map((comment) => ({ login: comment.author?.login, at: comment.createdAt }))
+
+  return actions
+    .filter((action) => action.login && action.at)
+    .sort((a, b) => new Date(b.at) - new Date(a.at))
+}
+
+/**
+ * Normalize a collaborator permission API response to a repository role
+ * Custom roles fall back to their base permission.
+ * @param {{permission: string, role_name: string}} data - Response of the collaborator permission endpoint
+ * @returns {string} - One of PERMISSION_LEVELS
+ */
+function getRepositoryRole (data) {
+  const role = String(data?.role_name || '').toLowerCase()
+  if (PERMISSION_LEVELS.includes(role)) {
+    return role
+  }
+  const permission = String(data?.permission || '').toLowerCase()
+  return PERMISSION_LEVELS.includes(permission) ? permission : 'none'
+}
+
+/**
+ * Check whether a repository role meets a minimum role
+ * @param {string} role - Role of the user (one of PERMISSION_LEVELS)
+ * @param {string} minRole - Minimum role required (one of PERMISSION_LEVELS)
+ * @returns {boolean} - True if role is at least minRole
+ */
+function meetsPermission (role, minRole) {
+  return PERMISSION_LEVELS.indexOf(role) >= PERMISSION_LEVELS.indexOf(minRole) &&
+    PERMISSION_LEVELS.indexOf(role) > 0
+}
+
+/**
+ * Check whether a login is in a list, case-insensitively and ignoring a "[bot]" suffix
+ * @param {string} login - Login to look for
+ * @param {Array<string>} logins - Allowed logins
+ * @returns {boolean} - True if the login is listed
+ */
+function isLoginListed (login, logins) {
+  const normalize = (value) => String(value || '').toLowerCase().replace(/\[bot\]$/, '')
+  return Boolean(login) && (logins || []).some((entry) => normalize(entry) === normalize(login))
 }
 
 module.exports = {
   shouldSkipIssue,
+  matchesPattern,
+  toEffortPoints,
+  getEffortEstimate,
   shouldAssignNewIssue,
+  getOpenLinkedPullRequests,
+  getFailedAttemptCount,
+  isStalledAssignment,
   parseIssueData,
+  filterAssignableIssues,
   findAssignableIssue,
+  scoreIssue,
+  rankAssignableIssues,
+  DEFAULT_SCORE_WEIGHTS,
+  EFFORT_SIZES,
   normalizeIssueLabels,
+  selectMilestone,
+  getProjectFieldValues,
+  sortByProjectPriority,
+  sortByLabelPriority,
+  filterByIssueType,
+  findAgents,
+  selectAgent,
+  parseBlockingReferences,
+  findMostRecentlyClosed,
   hasRecentRefactorIssue,
   readRefactorIssueTemplate,
   isAutoCreatedRefactorIssue,
   shouldWaitForCooldown,
-  hasRequiredLabel
+  hasRequiredLabel,
+  findLabelEvent,
+  getContentEditsSince,
+  getApprovalActions,
+  REACTION_CONTENT,
+  getRepositoryRole,
+  meetsPermission,
+  isLoginListed
 }
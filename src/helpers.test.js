@@ -44,6 +44,66 @@ describe('Auto Assign Copilot Helpers', () => {
       expect(result.reason).toBe('has sub-issues')
     })
 
+    test('should allow parents with only closed sub-issues when enabled', () => {
+      const completedParent = { isAssigned: false, hasSubIssues: true, openSubIssueCount: 0, labels: [] }
+      const activeParent = { isAssigned: false, hasSubIssues: true, openSubIssueCount: 1, labels: [] }
+      const options = { allowCompletedParentIssues: true }
+
+      expect(helpers.shouldSkipIssue(completedParent, false, [], options).shouldSkip).toBe(false)
+      expect(helpers.shouldSkipIssue(completedParent, false, [])).toEqual({
+        shouldSkip: true,
+        reason: 'has sub-issues (all closed)'
+      })
+      expect(helpers.shouldSkipIssue(activeParent, false, [], options).reason).toBe('has sub-issues')
+    })
+
+    test('should skip issues with open blockers and report them', () => {
+      const issue = {
+        isAssigned: false,
+        hasSubIssues: false,
+        openBlockers: ['#12', 'other/repo#3'],
+        labels: []
+      }
+      const result = helpers.shouldSkipIssue(issue, false, [])
+      expect(result.shouldSkip).toBe(true)
+      expect(result.reason).toBe('blocked by open issue #12, other/repo#3')
+    })
+
+    test('should skip issues whose dependencies could not be read', () => {
+      const issue = { isAssigned: false, hasSubIssues: false, dependenciesUnknown: true, labels: [] }
+
+      expect(helpers.shouldSkipIssue(issue, false, [])).toEqual({
+        shouldSkip: true,
+        reason: 'dependencies could not be read'
+      })
+    })
+
+    test('should skip issues that reached max-attempts', () => {
+      const issue = { isAssigned: false, hasSubIssues: false, labels: [], failedAttempts: 2 }
+
+      const result = helpers.shouldSkipIssue(issue, false, [], { maxAttempts: 2 })
+      expect(result.shouldSkip).toBe(true)
+      expect(result.reason).toBe('reached max-attempts (2 pull requests closed without merging)')
+
+      expect(helpers.shouldSkipIssue(issue, false, [], { maxAttempts: 3 }).shouldSkip).toBe(false)
+      expect(helpers.shouldSkipIssue(issue, false, []).shouldSkip).toBe(false)
+    })
+
+    test('should skip issues with open linked pull requests or branches', () => {
+      const base = { isAssigned: false, hasSubIssues: false, labels: [] }
+
+      const withPr = helpers.shouldSkipIssue({ ...base, openLinkedPullRequests: [55, 61] }, false, [])
+      expect(withPr.shouldSkip).toBe(true)
+      expect(withPr.reason).toBe('has open linked pull request #55, #61')
+
+      const withBranch = helpers.shouldSkipIssue({ ...base, linkedBranches: ['42-fix-login'] }, false, [])
+      expect(withBranch.shouldSkip).toBe(true)
+      expect(withBranch.reason).toBe('has linked branch 42-fix-login')
+
+      const clear = helpers.shouldSkipIssue({ ...base, openLinkedPullRequests: [], linkedBranches: [] }, false, [])
+      expect(clear.shouldSkip).toBe(false)
+    })
+
     test('should not skip issues with sub-issues when allowed', () => {
       const issue = {
         isAssigned: false,
@@ -76,6 +136,59 @@ describe('Auto Assign Copilot Helpers', () => {
     })
   })
 
+  describe('content patterns', () => {
+    const issue = { isAssigned: false, hasSubIssues: false, labels: [], title: 'Run database migration', body: 'Details' }
+
+    test('should skip issues matching the exclude pattern', () => {
+      expect(helpers.shouldSkipIssue(issue, false, [], { excludePattern: /MIGRATION/i })).toEqual({
+        shouldSkip: true,
+        reason: 'matches exclude-pattern'
+      })
+      expect(helpers.shouldSkipIssue(issue, false, [], { excludePattern: /frontend/i }).shouldSkip).toBe(false)
+    })
+
+    test('should skip issues not matching the include pattern', () => {
+      expect(helpers.shouldSkipIssue(issue, false, [], { includePattern: /details/i }).shouldSkip).toBe(false)
+      expect(helpers.shouldSkipIssue(issue, false, [], { includePattern: /docs/i }).reason)
+        .toBe('does not match include-pattern')
+    })
+
+    test('should fail closed when a pattern times out', () => {
+      const slowIssue = { ...issue, title: 'a'.repeat(40) + '!' }
+      expect(helpers.matchesPattern(/^(a+)+$/, slowIssue.title, 20)).toEqual({ matched: false, timedOut: true })
+      expect(helpers.shouldSkipIssue(slowIssue, false, [], { excludePattern: /^(a+)+$/ }).reason)
+        .toBe('exclude-pattern timed out')
+    })
+  })
+
+  describe('effort estimates', () => {
+    test('should read the estimate from size labels, project field or body', () => {
+      expect(helpers.getEffortEstimate({ labels: [{ name: 'Size: L' }], body: 'Estimate: 1' })).toEqual({
+        points: 5,
+        display: 'L',
+        source: 'label "Size: L"'
+      })
+      expect(helpers.getEffortEstimate({ labels: [], projectFields: { Points: 3 }, body: '' }, 'Points')).toEqual({
+        points: 3,
+        display: '3',
+        source: 'project field "Points"'
+      })
+      expect(helpers.getEffortEstimate({ labels: [], body: 'Intro\n- **Estimate:** xs' }).points).toBe(1)
+      expect(helpers.getEffortEstimate({ labels: [], body: 'Estimate: 2.5 days' }).points).toBe(2.5)
+      expect(helpers.getEffortEstimate({ labels: [{ name: 'size:huge' }], body: 'No estimate here' })).toBeNull()
+    })
+
+    test('should skip issues above max-effort and explain the estimate', () => {
+      const issue = { isAssigned: false, hasSubIssues: false, labels: [{ name: 'size:M' }], body: '' }
+      expect(helpers.shouldSkipIssue(issue, false, [], { maxEffort: 2 })).toEqual({
+        shouldSkip: true,
+        reason: 'estimate M (label "size:M") exceeds max-effort 2'
+      })
+      expect(helpers.shouldSkipIssue(issue, false, [], { maxEffort: 3 }).shouldSkip).toBe(false)
+      expect(helpers.shouldSkipIssue({ ...issue, labels: [] }, false, [], { maxEffort: 1 }).shouldSkip).toBe(false)
+    })
+  })
+
   describe('shouldAssignNewIssue', () => {
     test('should assign when no issues are assigned', () => {
       const result = helpers.shouldAssignNewIssue([], 'auto', false)
@@ -148,6 +261,32 @@ describe('Auto Assign Copilot Helpers', () => {
     })
   })
 
+  describe('isStalledAssignment', () => {
+    const now = new Date('2026-03-10T00:00:00Z')
+
+    test('should flag issues idle for the configured number of days', () => {
+      expect(helpers.isStalledAssignment({ updatedAt: '2026-03-06T00:00:00Z' }, 3, now)).toBe(true)
+      expect(helpers.isStalledAssignment({ updatedAt: '2026-03-08T00:00:00Z' }, 3, now)).toBe(false)
+    })
+
+    test('should keep issues with an open linked pull request or branch', () => {
+      const idle = { updatedAt: '2026-02-01T00:00:00Z' }
+      expect(helpers.isStalledAssignment({
+        ...idle,
+        timelineItems: { nodes: [{ willCloseTarget: true, source: { number: 7, state: 'OPEN' } }] }
+      }, 3, now)).toBe(false)
+      expect(helpers.isStalledAssignment({
+        ...idle,
+        linkedBranches: { nodes: [{ ref: { name: 'copilot/fix-7' } }] }
+      }, 3, now)).toBe(false)
+    })
+
+    test('should never flag when disabled or without an update time', () => {
+      expect(helpers.isStalledAssignment({ updatedAt: '2026-01-01T00:00:00Z' }, 0, now)).toBe(false)
+      expect(helpers.isStalledAssignment({}, 3, now)).toBe(false)
+    })
+  })
+
   describe('parseIssueData', () => {
     test('should correctly parse issue data', () => {
       const issue = createMockIssue({
@@ -172,6 +311,20 @@ describe('Auto Assign Copilot Helpers', () => {
       expect(result.isAssigned).toBe(true)
     })
 
+    test('should split open and closed sub-issue counts', () => {
+      const issue = createMockIssue({
+        trackedIssues: { totalCount: 3 },
+        subIssueCounts: { open: 1, closed: 2 }
+      })
+      const result = helpers.parseIssueData(issue)
+      expect(result.openSubIssueCount).toBe(1)
+      expect(result.closedSubIssueCount).toBe(2)
+
+      const graphqlOnly = helpers.parseIssueData(createMockIssue({ trackedIssues: { totalCount: 2 } }))
+      expect(graphqlOnly.openSubIssueCount).toBe(2)
+      expect(graphqlOnly.closedSubIssueCount).toBe(0)
+    })
+
     test('should detect issues with sub-issues', () => {
       const issue = createMockIssue({
         trackedIssues: { totalCount: 3 }
@@ -179,6 +332,33 @@ describe('Auto Assign Copilot Helpers', () => {
       const result = helpers.parseIssueData(issue)
       expect(result.hasSubIssues).toBe(true)
     })
+
+    test('should collect open linked pull requests and branches', () => {
+      const issue = createMockIssue({
+        closedByPullRequestsReferences: {
+          nodes: [{ number: 61, state: 'OPEN' }, { number: 50, state: 'MERGED' }]
+        },
+        timelineItems: {
+          nodes: [
+            { willCloseTarget: true, source: { number: 55, state: 'OPEN' } },
+            { willCloseTarget: true, source: { number: 61, state: 'OPEN' } },
+            { willCloseTarget: false, source: { number: 70, state: 'OPEN' } },
+            { willCloseTarget: true, source: { number: 48, state: 'CLOSED' } },
+            { willCloseTarget: true, source: {} }
+          ]
+        },
+        linkedBranches: { nodes: [{ ref: { name: '42-fix-login' } }, { ref: null }] }
+      })
+      const result = helpers.parseIssueData(issue)
+      expect(result.openLinkedPullRequests).toEqual([55, 61])
+      expect(result.linkedBranches).toEqual(['42-fix-login'])
+      expect(result.failedAttempts).toBe(1)
+
+      const plain = helpers.parseIssueData(createMockIssue())
+      expect(plain.openLinkedPullRequests).toEqual([])
+      expect(plain.linkedBranches).toEqual([])
+      expect(plain.failedAttempts).toBe(0)
+    })
   })
 
   describe('findAssignableIssue', () => {
@@ -218,6 +398,51 @@ describe('Auto Assign Copilot Helpers', () => {
     })
   })
 
+  describe('sub-issue policy', () => {
+    const parent = { number: 1, state: 'open', labels: [{ name: 'copilot-approved' }] }
+    const issues = [
+      createMockIssue({ number: 10 }),
+      createMockIssue({ number: 11, parentIssue: parent }),
+      createMockIssue({ number: 12 }),
+      createMockIssue({ number: 13, parentIssue: { ...parent, labels: [] } })
+    ]
+    const numbers = (list) => list.map((issue) => issue.number)
+
+    test('should order sub-issues according to the policy', () => {
+      expect(numbers(helpers.filterAssignableIssues(issues, false, [], null, { subIssuePolicy: 'prefer' })))
+        .toEqual([11, 13, 10, 12])
+      expect(numbers(helpers.filterAssignableIssues(issues, false, [], null, { subIssuePolicy: 'deprioritize' })))
+        .toEqual([10, 12, 11, 13])
+      expect(numbers(helpers.filterAssignableIssues(issues, false, [], null, { subIssuePolicy: 'include' })))
+        .toEqual([10, 11, 12, 13])
+    })
+
+    test('should exclude sub-issues', () => {
+      expect(numbers(helpers.filterAssignableIssues(issues, false, [], null, { subIssuePolicy: 'exclude' })))
+        .toEqual([10, 12])
+      expect(helpers.shouldSkipIssue(helpers.parseIssueData(issues[1]), false, [], { subIssuePolicy: 'exclude' }).reason)
+        .toBe('is a sub-issue')
+    })
+
+    test('should inherit approval from the parent issue', () => {
+      expect(numbers(helpers.filterAssignableIssues(issues, false, [], 'copilot-approved'))).toEqual([])
+      expect(numbers(helpers.filterAssignableIssues(issues, false, [], 'copilot-approved', { inheritParentApproval: true })))
+        .toEqual([11])
+    })
+
+    test('should apply the policy before the score', () => {
+      const ranked = helpers.rankAssignableIssues(
+        [createMockIssue({ number: 20, reactions: { totalCount: 50 } }), createMockIssue({ number: 21, parentIssue: parent })],
+        false,
+        [],
+        null,
+        {},
+        { subIssuePolicy: 'prefer' }
+      )
+      expect(ranked.map((entry) => entry.issue.number)).toEqual([21, 20])
+    })
+  })
+
   describe('hasRecentRefactorIssue', () => {
     test('should return true when recent issues have refactor label', () => {
       const issues = [
@@ -693,5 +918,485 @@ describe('Auto Assign Copilot Helpers', () => {
       const result = helpers.hasRequiredLabel(issue, 'copilot-ready')
       expect(result).toBe(false)
     })
+
+    test('should require every label of a list by default', () => {
+      const issue = { labels: [{ name: 'copilot-approved' }, { name: 'spec-reviewed' }] }
+      const partial = { labels: [{ name: 'copilot-approved' }] }
+      const required = ['copilot-approved', 'spec-reviewed']
+
+      expect(helpers.hasRequiredLabel(issue, required)).toBe(true)
+      expect(helpers.hasRequiredLabel(partial, required)).toBe(false)
+      expect(helpers.hasRequiredLabel(partial, required, 'all')).toBe(false)
+    })
+
+    test('should accept any label of a list in any mode', () => {
+      const required = ['copilot-approved', 'spec-reviewed']
+
+      expect(helpers.hasRequiredLabel({ labels: [{ name: 'spec-reviewed' }] }, required, 'any')).toBe(true)
+      expect(helpers.hasRequiredLabel({ labels: [{ name: 'bug' }] }, required, 'any')).toBe(false)
+    })
+
+    test('should return true for an empty label list', () => {
+      expect(helpers.hasRequiredLabel({ labels: [] }, [])).toBe(true)
+      expect(helpers.hasRequiredLabel({ labels: [] }, [], 'any')).toBe(true)
+    })
+
+    test('should ignore labels whose labeler was not approved', () => {
+      const issue = {
+        labels: [{ name: 'copilot-approved' }, { name: 'spec-reviewed' }],
+        unapprovedLabels: ['copilot-approved']
+      }
+
+      expect(helpers.hasRequiredLabel(issue, 'copilot-approved')).toBe(false)
+      expect(helpers.hasRequiredLabel(issue, ['copilot-approved', 'spec-reviewed'], 'any')).toBe(true)
+    })
+
+    test('should accept approval given by another method', () => {
+      expect(helpers.hasRequiredLabel({ labels: [], approvedBy: ['reaction'] }, 'copilot-approved')).toBe(true)
+      expect(helpers.hasRequiredLabel({ labels: [], approvedBy: [] }, 'copilot-approved')).toBe(false)
+    })
+  })
+
+  describe('approval verification', () => {
+    test('should find the most recent label event', () => {
+      const events = [
+        { label: { name: 'copilot-approved' }, actor: { login: 'triager' } },
+        { label: { name: 'bug' }, actor: { login: 'someone' } },
+        { label: { name: 'copilot-approved' }, actor: { login: 'maintainer' } },
+        { __typename: 'RenamedTitleEvent', actor: { login: 'author' } },
+        {}
+      ]
+
+      expect(helpers.findLabelEvent(events, 'copilot-approved').actor.login).toBe('maintainer')
+      expect(helpers.findLabelEvent(events, 'spec-reviewed')).toBeNull()
+      expect(helpers.findLabelEvent(null, 'bug')).toBeNull()
+    })
+
+    test('should list title and body edits after a point in time', () => {
+      const history = {
+        timelineItems: {
+          nodes: [
+            { __typename: 'LabeledEvent', createdAt: '2026-03-02T00:00:00Z', label: { name: 'copilot-approved' } },
+            { __typename: 'RenamedTitleEvent', createdAt: '2026-03-04T00:00:00Z', actor: { login: 'author' } },
+            { __typename: 'RenamedTitleEvent', createdAt: '2026-03-01T00:00:00Z', actor: { login: 'author' } }
+          ]
+        },
+        userContentEdits: {
+          nodes: [
+            { editedAt: '2026-03-01T00:00:00Z', editor: { login: 'author' } },
+            { editedAt: '2026-03-03T00:00:00Z', editor: null }
+          ]
+        }
+      }
+
+      expect(helpers.getContentEditsSince(history, '2026-03-02T00:00:00Z')).toEqual([
+        { login: null, at: '2026-03-03T00:00:00Z', field: 'description' },
+        { login: 'author', at: '2026-03-04T00:00:00Z', field: 'title' }
+      ])
+      expect(helpers.getContentEditsSince({}, '2026-03-02T00:00:00Z')).toEqual([])
+    })
+
+    test('should list approving reactions and commands newest first', () => {
+      const history = {
+        reactions: {
+          nodes: [
+            { createdAt: '2026-03-01T00:00:00Z', user: { login: 'old' } },
+            { createdAt: '2026-03-03T00:00:00Z', user: { login: 'new' } },
+            { createdAt: '2026-03-04T00:00:00Z', user: null }
+          ]
+        },
+        comments: {
+          nodes: [
+            { createdAt: '2026-03-02T00:00:00Z', body: 'Looks good\n/copilot approve', author: { login: 'maintainer' } },
+            { createdAt: '2026-03-03T00:00:00Z', body: '> /copilot approve\nwhy?', author: { login: 'author' } },
+            { createdAt: '2026-03-04T00:00:00Z', body: 'please /copilot approve this', author: { login: 'author' } },
+            { createdAt: '2026-03-05T00:00:00Z', body: '/Copilot  Approve ', author: { login: 'admin' } }
+          ]
+        }
+      }
+
+      expect(helpers.getApprovalActions(history, 'reaction')).toEqual([
+        { login: 'new', at: '2026-03-03T00:00:00Z' },
+        { login: 'old', at: '2026-03-01T00:00:00Z' }
+      ])
+      expect(helpers.getApprovalActions(history, 'comment')).toEqual([
+        { login: 'admin', at: '2026-03-05T00:00:00Z' },
+        { login: 'maintainer', at: '2026-03-02T00:00:00Z' }
+      ])
+      expect(helpers.getApprovalActions({}, 'comment')).toEqual([])
+    })
+
+    test('should read the role name and fall back to the base permission', () => {
+      expect(helpers.getRepositoryRole({ permission: 'write', role_name: 'maintain' })).toBe('maintain')
+      expect(helpers.getRepositoryRole({ permission: 'read', role_name: 'triage' })).toBe('triage')
+      expect(helpers.getRepositoryRole({ permission: 'write', role_name: 'custom-reviewer' })).toBe('write')
+      expect(helpers.getRepositoryRole({})).toBe('none')
+    })
+
+    test('should compare roles against the minimum', () => {
+      expect(helpers.meetsPermission('admin', 'write')).toBe(true)
+      expect(helpers.meetsPermission('write', 'write')).toBe(true)
+      expect(helpers.meetsPermission('triage', 'write')).toBe(false)
+      expect(helpers.meetsPermission('maintain', 'admin')).toBe(false)
+      expect(helpers.meetsPermission('none', 'none')).toBe(false)
+    })
+
+    test('should match allowlisted logins ignoring case and a bot suffix', () => {
+      expect(helpers.isLoginListed('Triage-Bot', ['triage-bot[bot]'])).toBe(true)
+      expect(helpers.isLoginListed('triage-bot[bot]', ['triage-bot'])).toBe(true)
+      expect(helpers.isLoginListed('other', ['triage-bot'])).toBe(false)
+      expect(helpers.isLoginListed(null, ['triage-bot'])).toBe(false)
+    })
+  })
+
+  describe('scoreIssue', () => {
+    const now = new Date('2026-01-29T00:00:00Z')
+
+    test('should score label weight, age, reactions, comments and milestone', () => {
+      const issue = helpers.parseIssueData(createMockIssue({
+        createdAt: '2026-01-01T00:00:00Z',
+        reactions: { totalCount: 3 },
+        comments: { totalCount: 2 },
+        milestone: { number: 1, title: 'v1', dueOn: '2026-02-08T00:00:00Z' },
+        labels: { nodes: [{ name: 'bug' }, { name: 'docs' }] }
+      }))
+      const result = helpers.scoreIssue(issue, {
+        labelWeights: { bug: 4, docs: 2 },
+        now
+      })
+      expect(result.breakdown).toEqual({
+        label: 40,
+        age: 4,
+        reactions: 6,
+        comments: 2,
+        milestone: 20,
+        project: 0,
+        type: 0
+      })
+      expect(result.total).toBe(72)
+    })
+
+    test('should apply custom weights', () => {
+      const issue = helpers.parseIssueData(createMockIssue({
+        reactions: { totalCount: 5 },
+        labels: { nodes: [{ name: 'bug' }] }
+      }))
+      const result = helpers.scoreIssue(issue, {
+        labelWeights: { bug: 1 },
+        weights: { label: 0, reactions: 10 },
+        now
+      })
+      expect(result.breakdown.label).toBe(0)
+      expect(result.breakdown.reactions).toBe(50)
+    })
+
+    test('should cap milestone urgency for overdue milestones', () => {
+      const issue = helpers.parseIssueData(createMockIssue({
+        milestone: { number: 1, title: 'v1', dueOn: '2025-12-01T00:00:00Z' }
+      }))
+      expect(helpers.scoreIssue(issue, { now }).breakdown.milestone).toBe(30)
+    })
+
+    test('should score zero for missing optional data', () => {
+      const issue = helpers.parseIssueData(createMockIssue())
+      expect(helpers.scoreIssue(issue, { now }).total).toBe(0)
+    })
+  })
+
+  describe('rankAssignableIssues', () => {
+    test('should rank eligible issues by score and drop ineligible ones', () => {
+      const issues = [
+        createMockIssue({ id: '1', number: 1, labels: { nodes: [{ name: 'docs' }] } }),
+        createMockIssue({ id: '2', number: 2, labels: { nodes: [{ name: 'bug' }] } }),
+        createMockIssue({
+          id: '3',
+          number: 3,
+          labels: { nodes: [{ name: 'bug' }] },
+          assignees: { nodes: [{ login: 'user1' }] }
+        })
+      ]
+      const ranked = helpers.rankAssignableIssues(issues, false, [], null, {
+        labelWeights: { bug: 2, docs: 1 }
+      })
+      expect(ranked.map((r) => r.issue.number)).toEqual([2, 1])
+      expect(ranked[0].score.breakdown.label).toBe(20)
+    })
+
+    test('should keep input order for equal scores', () => {
+      const issues = [
+        createMockIssue({ id: '1', number: 1 }),
+        createMockIssue({ id: '2', number: 2 })
+      ]
+      const ranked = helpers.rankAssignableIssues(issues)
+      expect(ranked.map((r) => r.issue.number)).toEqual([1, 2])
+    })
+  })
+
+  describe('selectMilestone', () => {
+    const milestones = [
+      { number: 1, title: 'Backlog', dueOn: null },
+      { number: 2, title: 'v2', dueOn: '2026-03-01T00:00:00Z' },
+      { number: 3, title: 'v1', dueOn: '2026-02-01T00:00:00Z' }
+    ]
+
+    test('should select the milestone with the nearest due date', () => {
+      expect(helpers.selectMilestone(milestones, 'nearest').number).toBe(3)
+    })
+
+    test('should select a milestone by title', () => {
+      expect(helpers.selectMilestone(milestones, 'Backlog').number).toBe(1)
+    })
+
+    test('should return null when nothing matches', () => {
+      expect(helpers.selectMilestone(milestones, 'v3')).toBeNull()
+      expect(helpers.selectMilestone([{ number: 1, title: 'x', dueOn: null }], 'nearest')).toBeNull()
+      expect(helpers.selectMilestone(milestones, '')).toBeNull()
+    })
+  })
+
+  describe('issue types', () => {
+    test('should expose the issue type name on parsed issues', () => {
+      expect(helpers.parseIssueData(createMockIssue({ issueType: { name: 'Bug' } })).issueType).toBe('Bug')
+      expect(helpers.parseIssueData(createMockIssue()).issueType).toBeNull()
+    })
+
+    test('should filter issues by type, oldest first', () => {
+      const issues = [
+        createMockIssue({ number: 1, issueType: { name: 'Bug' }, createdAt: '2024-03-01T00:00:00Z' }),
+        createMockIssue({ number: 2, issueType: { name: 'Task' }, createdAt: '2024-01-01T00:00:00Z' }),
+        createMockIssue({ number: 3, issueType: { name: 'Bug' }, createdAt: '2024-02-01T00:00:00Z' }),
+        createMockIssue({ number: 4, issueType: null })
+      ]
+      expect(helpers.filterByIssueType(issues, 'Bug').map((issue) => issue.number)).toEqual([3, 1])
+      expect(helpers.filterByIssueType(issues, 'bug')).toEqual([])
+    })
+
+    test('should score the issue type weight', () => {
+      const issue = helpers.parseIssueData(createMockIssue({ issueType: { name: 'Task' } }))
+      const result = helpers.scoreIssue(issue, { typeWeights: { Bug: 3, Task: 2 }, now: new Date() })
+      expect(result.breakdown.type).toBe(20)
+    })
+  })
+
+  describe('sortByLabelPriority', () => {
+    test('should order issues by label priority and keep unlabeled issues last', () => {
+      const issues = [
+        createMockIssue({ number: 1 }),
+        createMockIssue({ number: 2, labels: { nodes: [{ name: 'enhancement' }] } }),
+        createMockIssue({ number: 3, labels: { nodes: [{ name: 'bug' }] } }),
+        createMockIssue({ number: 4, labels: { nodes: [{ name: 'bug' }] } })
+      ]
+      const sorted = helpers.sortByLabelPriority(issues, ['bug', 'enhancement'])
+      expect(sorted.map((issue) => issue.number)).toEqual([3, 4, 2, 1])
+    })
+  })
+
+  describe('parseBlockingReferences', () => {
+    test('should extract references from blocked by and depends on lines', () => {
+      const body = [
+        'Some context mentioning #1.',
+        'Blocked by #12',
+        '- depends on: #15, #16 and #12',
+        '**Depends on** other/repo#99 and #20'
+      ].join('\n')
+      expect(helpers.parseBlockingReferences(body)).toEqual([12, 15, 16, 20])
+    })
+
+    test('should return an empty list when there are no references', () => {
+      expect(helpers.parseBlockingReferences('Nothing blocks this')).toEqual([])
+      expect(helpers.parseBlockingReferences(null)).toEqual([])
+    })
+  })
+
+  describe('findMostRecentlyClosed', () => {
+    test('should return the latest closed issue assigned to one of the actors', () => {
+      const closed = [
+        { number: 1, closedAt: '2024-01-03T00:00:00Z', assignees: { nodes: [{ id: 'user' }] } },
+        { number: 2, closedAt: '2024-01-01T00:00:00Z', assignees: { nodes: [{ id: 'bot' }] } },
+        { number: 3, closedAt: '2024-01-02T00:00:00Z', assignees: { nodes: [{ id: 'bot' }] } }
+      ]
+      expect(helpers.findMostRecentlyClosed(closed, ['bot']).number).toBe(3)
+      expect(helpers.findMostRecentlyClosed(closed, ['other'])).toBeNull()
+      expect(helpers.findMostRecentlyClosed(undefined, ['bot'])).toBeNull()
+    })
+  })
+
+  describe('findAgents', () => {
+    const actors = [
+      { login: 'copilot-swe-agent', __typename: 'Bot', id: 'bot-1' },
+      { login: 'Octo-Dev', __typename: 'User', id: 'user-1' },
+      { login: 'some-team', __typename: 'Team', id: 'team-1' }
+    ]
+
+    test('should match bots and users case-insensitively in configured order', () => {
+      expect(helpers.findAgents(actors, ['octo-dev', 'copilot-swe-agent[bot]'])).toEqual([
+        { login: 'Octo-Dev', id: 'user-1' },
+        { login: 'copilot-swe-agent', id: 'bot-1' }
+      ])
+    })
+
+    test('should ignore unknown logins, other actor types and duplicates', () => {
+      expect(helpers.findAgents(actors, ['ghost', 'some-team', 'octo-dev', 'OCTO-DEV'])).toEqual([
+        { login: 'Octo-Dev', id: 'user-1' }
+      ])
+      expect(helpers.findAgents(null, ['octo-dev'])).toEqual([])
+    })
+  })
+
+  describe('selectAgent', () => {
+    const copilot = { login: 'copilot-swe-agent', id: 'bot-1' }
+    const docs = { login: 'docs-bot', id: 'bot-2' }
+    const dev = { login: 'octo-dev', id: 'user-1' }
+    const slots = (loads, free = [1, 1, 1]) => [copilot, docs, dev].map((agent, index) => ({
+      agent,
+      slots: free[index],
+      load: loads[index]
+    }))
+    const issue = createMockIssue({ labels: { nodes: [{ name: 'bug' }] } })
+
+    test('should take the first agent with a free slot by default', () => {
+      expect(helpers.selectAgent(issue, slots([3, 0, 0], [0, 1, 1])).agent).toBe(docs)
+    })
+
+    test('should pick the least loaded agent, keeping listed order on ties', () => {
+      expect(helpers.selectAgent(issue, slots([2, 1, 1]), { strategy: 'least-loaded' }).agent).toBe(docs)
+      expect(helpers.selectAgent(issue, slots([2, 1, 0], [1, 1, 0]), { strategy: 'least-loaded' }).agent).toBe(docs)
+    })
+
+    test('should rotate in round-robin order, skipping busy agents', () => {
+      expect(helpers.selectAgent(issue, slots([0, 0, 0]), { strategy: 'round-robin', turn: 4 }).agent).toBe(docs)
+      expect(helpers.selectAgent(issue, slots([0, 0, 0], [1, 0, 1]), { strategy: 'round-robin', turn: 1 }).agent).toBe(dev)
+    })
+
+    test('should route labeled issues to their agent', () => {
+      const docsIssue = createMockIssue({ labels: { nodes: [{ name: 'documentation' }] } })
+      const routing = [{ label: 'documentation', agent: 'Docs-Bot' }]
+
+      expect(helpers.selectAgent(docsIssue, slots([0, 5, 0]), { strategy: 'least-loaded', routing })).toEqual({
+        agent: docs,
+        reason: 'routed by label "documentation"'
+      })
+
+      const busy = helpers.selectAgent(docsIssue, slots([0, 1, 0], [1, 0, 1]), { routing })
+      expect(busy.agent).toBeNull()
+      expect(busy.reason).toContain('routed to Docs-Bot')
+    })
+
+    test('should return null when no agent has a free slot', () => {
+      expect(helpers.selectAgent(issue, slots([1, 1, 1], [0, 0, 0])).agent).toBeNull()
+    })
+  })
+
+  describe('project fields', () => {
+    const project = { owner: 'my-org', number: 5 }
+    const projectItems = (owner, number, values) => ({
+      nodes: [
+        {
+          project: { number, owner: { login: owner } },
+          fieldValues: { nodes: values }
+        }
+      ]
+    })
+
+    test('should extract field values for the configured project', () => {
+      const issue = createMockIssue({
+        projectItems: projectItems('My-Org', 5, [
+          { name: 'P1', field: { name: 'Priority' } },
+          { name: 'Ready', field: { name: 'Status' } },
+          { number: 3, field: { name: 'Estimate' } },
+          {}
+        ])
+      })
+      expect(helpers.getProjectFieldValues(issue, project)).toEqual({
+        Priority: 'P1',
+        Status: 'Ready',
+        Estimate: 3
+      })
+    })
+
+    test('should return null when the issue is not in the project', () => {
+      const issue = createMockIssue({
+        projectItems: projectItems('my-org', 6, [{ name: 'P1', field: { name: 'Priority' } }])
+      })
+      expect(helpers.getProjectFieldValues(issue, project)).toBeNull()
+      expect(helpers.getProjectFieldValues(createMockIssue(), project)).toBeNull()
+      expect(helpers.getProjectFieldValues(issue, null)).toBeNull()
+    })
+
+    test('should sort issues by project priority', () => {
+      const issues = [
+        { number: 1, projectFields: null },
+        { number: 2, projectFields: { Priority: 'P2' } },
+        { number: 3, projectFields: { Priority: 'P0' } }
+      ]
+      const sorted = helpers.sortByProjectPriority(issues, 'Priority', ['P0', 'P1', 'P2'])
+      expect(sorted.map((issue) => issue.number)).toEqual([3, 2, 1])
+    })
+
+    test('should skip issues whose project status does not match', () => {
+      const options = { projectStatus: { field: 'Status', value: 'Ready' } }
+      const base = { isAssigned: false, hasSubIssues: false, labels: [] }
+
+      expect(helpers.shouldSkipIssue({ ...base, projectFields: null }, false, [], options))
+        .toEqual({ shouldSkip: true, reason: 'not in project' })
+      expect(helpers.shouldSkipIssue({ ...base, projectFields: { Status: 'Todo' } }, false, [], options))
+        .toEqual({ shouldSkip: true, reason: 'project Status is "Todo"' })
+      expect(helpers.shouldSkipIssue({ ...base, projectFields: { Status: 'Ready' } }, false, [], options).shouldSkip)
+        .toBe(false)
+    })
+
+    test('should score project priority', () => {
+      const issue = { labels: [], projectFields: { Priority: 'P0' } }
+      const result = helpers.scoreIssue(issue, {
+        projectPriority: { field: 'Priority', order: ['P0', 'P1'] }
+      })
+      expect(result.breakdown.project).toBe(20)
+    })
+  })
+
+  describe('shouldAssignNewIssue capacity', () => {
+    const bugIssue = { labels: { nodes: [{ name: 'bug' }] } }
+    const refactorIssue = { labels: { nodes: [{ name: 'refactor' }] } }
+
+    test('should report all slots as free when nothing is assigned', () => {
+      const result = helpers.shouldAssignNewIssue([], 'auto', false, 3)
+      expect(result).toEqual({
+        shouldAssign: true,
+        reason: 'Copilot has no assigned issues',
+        slots: 3
+      })
+    })
+
+    test('should assign remaining slots when below capacity', () => {
+      const result = helpers.shouldAssignNewIssue([bugIssue], 'auto', false, 3)
+      expect(result.shouldAssign).toBe(true)
+      expect(result.slots).toBe(2)
+      expect(result.reason).toBe('Copilot has 1 of 3 assigned issues')
+    })
+
+    test('should not assign when at capacity', () => {
+      const result = helpers.shouldAssignNewIssue([bugIssue, bugIssue], 'auto', false, 2)
+      expect(result.shouldAssign).toBe(false)
+      expect(result.slots).toBe(0)
+      expect(result.reason).toContain('at capacity (2 of 2')
+    })
+
+    test('should assign one issue with force when at capacity', () => {
+      const result = helpers.shouldAssignNewIssue([bugIssue, bugIssue], 'auto', true, 2)
+      expect(result.shouldAssign).toBe(true)
+      expect(result.slots).toBe(1)
+    })
+
+    test('should allow a refactor issue when a slot is free in refactor mode', () => {
+      const result = helpers.shouldAssignNewIssue([bugIssue], 'refactor', false, 2)
+      expect(result.shouldAssign).toBe(true)
+      expect(result.slots).toBe(1)
+    })
+
+    test('should not allow a second refactor issue even with free slots', () => {
+      const result = helpers.shouldAssignNewIssue([refactorIssue], 'refactor', false, 3)
+      expect(result.shouldAssign).toBe(false)
+      expect(result.reason).toBe('Copilot already has a refactor issue assigned')
+    })
   })
 })
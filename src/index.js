@@ -6,7 +6,22 @@
  */
 
 const executeWorkflow = require('./workflow.js')
-const { validatePositiveInteger, validateLabelName, validateLabelArray } = require('./validation.js')
+const {
+  validatePositiveInteger,
+  validateLabelName,
+  validateLabelArray,
+  parsePriorityList,
+  validateChoice,
+  parseChoiceList,
+  parseScoreWeights,
+  parseProjectReference,
+  parseNameList,
+  parseLoginList,
+  parseAgentRouting,
+  parsePattern,
+  parseEffort
+} = require('./validation.js')
+const { REACTION_CONTENT } = require('./helpers.js')
 
 /**
  * Main action execution
@@ -26,6 +41,16 @@ async function run () {
     const force = core.getInput('force') === 'true'
     const dryRun = core.getInput('dry-run') === 'true'
     const allowParentIssues = core.getInput('allow-parent-issues') === 'true'
+    const allowCompletedParentIssues = core.getInput('allow-completed-parent-issues') === 'true'
+    const drillDownParentIssues = core.getInput('drill-down-parent-issues') === 'true'
+    const inheritParentApproval = core.getInput('inherit-parent-approval') === 'true'
+    const subIssuePolicy = validateChoice(
+      core.getInput('sub-issue-policy'),
+      ['include', 'prefer', 'deprioritize', 'exclude'],
+      'include',
+      'sub-issue-policy'
+    )
+    const epicFocus = core.getInput('epic-focus') === 'true'
     const createRefactorIssue = core.getInput('create-refactor-issue') !== 'false'
     const refactorIssueTemplate = core.getInput('refactor-issue-template') || ''
 
@@ -33,10 +58,47 @@ async function run () {
     const labelOverride = validateLabelName(core.getInput('label-override'))
     const requiredLabel = validateLabelName(core.getInput('required-label'))
 
+    // Several approval labels replace required-label; an invalid entry must not weaken the requirement
+    const requiredLabelsRaw = (core.getInput('required-labels') || '').split(',').map(l => l.trim()).filter(Boolean)
+    const requiredLabels = validateLabelArray(requiredLabelsRaw, 10)
+    if (requiredLabels.length !== requiredLabelsRaw.length) {
+      throw new Error('Invalid required-labels: every label must be valid and at most 10 labels are allowed')
+    }
+    const requiredLabelMode = validateChoice(core.getInput('required-label-mode'), ['all', 'any'], 'all', 'required-label-mode')
+
+    // Who may approve: minimum role of the labeler, plus logins accepted regardless of role
+    const approvalMinPermission = validateChoice(
+      core.getInput('approval-min-permission'),
+      ['any', 'write', 'maintain', 'admin'],
+      'any',
+      'approval-min-permission'
+    )
+    const approvalAllowlist = parseLoginList(core.getInput('approval-allowlist'), 20)
+    const revokeApprovalOnEdit = core.getInput('revoke-approval-on-edit') === 'true'
+    const reapprovalComment = core.getInput('reapproval-comment') === 'true'
+    const approvalMethods = parseChoiceList(
+      core.getInput('approval-methods'),
+      ['label', 'reaction', 'comment'],
+      'label',
+      'approval-methods'
+    )
+    const approvalReaction = validateChoice(
+      core.getInput('approval-reaction'),
+      Object.keys(REACTION_CONTENT),
+      'rocket',
+      'approval-reaction'
+    )
+
     // Validate numeric inputs with bounds checking (V01: Integer Overflow Prevention)
     const refactorThreshold = validatePositiveInteger(core.getInput('refactor-threshold'), '4', 1, 100)
     const waitSeconds = validatePositiveInteger(core.getInput('wait-seconds'), '300', 0, 3600)
     const refactorCooldownDays = validatePositiveInteger(core.getInput('refactor-cooldown-days'), '7', 0, 365)
+    const maxPages = validatePositiveInteger(core.getInput('max-pages'), '10', 1, 100)
+    const maxConcurrent = validatePositiveInteger(core.getInput('max-concurrent'), '1', 1, 50)
+    const staleAssignmentDays = validatePositiveInteger(core.getInput('stale-assignment-days'), '0', 0, 365)
+    const stalledLabel = validateLabelName(core.getInput('stalled-label') || 'copilot-stalled')
+    const maxAttempts = validatePositiveInteger(core.getInput('max-attempts'), '0', 0, 100)
+    const needsHumanLabel = validateLabelName(core.getInput('needs-human-label') || 'needs-human')
 
     // Parse and validate skip labels (V06: Label Array Validation)
     const skipLabelsRaw = core.getInput('skip-labels') || 'no-ai,refining'
@@ -45,6 +107,48 @@ async function run () {
       50
     )
 
+    // Title/body content filters (matched with a time limit)
+    const includePattern = parsePattern(core.getInput('include-pattern'), 'include-pattern')
+    const excludePattern = parsePattern(core.getInput('exclude-pattern'), 'exclude-pattern')
+
+    // Effort gating: size (XS..XL) or points; the estimate field is only compared client-side
+    const maxEffort = parseEffort(core.getInput('max-effort'))
+    const projectEstimateField = (core.getInput('project-estimate-field') || 'Estimate').trim()
+
+    // Parse and validate weighted label priority (V06: Label Array Validation)
+    const labelPriority = parsePriorityList(
+      core.getInput('label-priority') || 'bug,documentation,refactor,enhancement',
+      20
+    )
+
+    // Parse and validate weighted issue type priority (type names follow the label rules)
+    const typePriority = parsePriorityList(core.getInput('type-priority') || '', 20)
+
+    // Preferred milestone ('nearest' or a milestone title); only compared client-side
+    const milestone = (core.getInput('milestone') || '').trim()
+
+    // Projects (v2) prioritization; field and option names are only compared client-side
+    const project = parseProjectReference(core.getInput('project'))
+    const projectPriorityField = (core.getInput('project-priority-field') || 'Priority').trim()
+    const projectPriorityOrder = parseNameList(core.getInput('project-priority-order'))
+    const projectStatusField = (core.getInput('project-status-field') || 'Status').trim()
+    const projectReadyStatus = (core.getInput('project-ready-status') || '').trim()
+    const projectStatusOnAssign = (core.getInput('project-status-on-assign') || '').trim()
+
+    // Agents that may be assigned, in fill order (V02: logins are validated before use)
+    const agentLogins = parseLoginList(core.getInput('agent-logins') || 'copilot-swe-agent', 10)
+    const agentStrategy = validateChoice(
+      core.getInput('agent-strategy'),
+      ['fill', 'least-loaded', 'round-robin'],
+      'fill',
+      'agent-strategy'
+    )
+    const agentRouting = parseAgentRouting(core.getInput('agent-routing'))
+
+    // Candidate ranking strategy and score tuning
+    const ranking = validateChoice(core.getInput('ranking'), ['first-match', 'score'], 'first-match', 'ranking')
+    const scoreWeights = parseScoreWeights(core.getInput('score-weights'))
+
     core.info(`Running auto-assign-copilot action (mode: ${mode}, force: ${force}, dryRun: ${dryRun})`)
 
     // Create authenticated Octokit client
@@ -56,22 +160,72 @@ async function run () {
       context: github.context,
       mode,
       labelOverride,
+      labelPriority,
+      typePriority,
       requiredLabel,
+      requiredLabels,
+      requiredLabelMode,
+      approvalMinPermission,
+      approvalAllowlist,
+      revokeApprovalOnEdit,
+      reapprovalComment,
+      approvalMethods,
+      approvalReaction,
       force,
       dryRun,
       allowParentIssues,
+      allowCompletedParentIssues,
+      subIssuePolicy,
+      inheritParentApproval,
       skipLabels,
+      includePattern,
+      excludePattern,
+      maxEffort,
+      projectEstimateField,
       refactorThreshold,
       createRefactorIssue,
       refactorIssueTemplate,
       waitSeconds,
-      refactorCooldownDays
+      refactorCooldownDays,
+      ranking,
+      scoreWeights,
+      maxPages,
+      milestone,
+      project,
+      projectPriorityField,
+      projectPriorityOrder,
+      projectStatusField,
+      projectReadyStatus,
+      projectStatusOnAssign,
+      maxConcurrent,
+      agentLogins,
+      agentStrategy,
+      agentRouting,
+      drillDownParentIssues,
+      epicFocus,
+      staleAssignmentDays,
+      stalledLabel,
+      maxAttempts,
+      needsHumanLabel
     })
 
     // Set outputs
     core.setOutput('assigned-issue-number', result?.issue?.number?.toString() || '')
     core.setOutput('assigned-issue-url', result?.issue?.url || '')
+    core.setOutput(
+      'assigned-issue-numbers',
+      (result?.issues || (result?.issue ? [result.issue] : [])).map((issue) => issue.number).join(',')
+    )
     core.setOutput('assignment-mode', result?.effectiveMode || mode)
+    core.setOutput('assigned-milestone', result?.issue?.milestone?.title || '')
+    core.setOutput('assigned-agent', result?.agent || '')
+    core.setOutput(
+      'assignments',
+      JSON.stringify(
+        (result?.assignments || (result?.issue ? [{ issue: result.issue, agent: result.agent }] : []))
+          .map((assignment) => ({ issue: assignment.issue.number, agent: assignment.agent }))
+      )
+    )
 
     core.info('✓ Action completed successfully')
   } catch (error) {
@@ -6,6 +6,7 @@
  */
 
 const logger = require('./logger.js')
+const { DEFAULT_SCORE_WEIGHTS, EFFORT_SIZES, toEffortPoints } = require('./helpers.js')
 
 /**
  * Validate and parse a positive integer with bounds checking
@@ -95,8 +96,334 @@ function validateLabelArray (labels, maxLabels = 50) {
   return validatedLabels
 }
 
+/**
+ * Parse a comma-separated priority list with optional weights
+ * Entries use the form "name" or "name:weight" (e.g. "security:10,bug:8,docs:3").
+ * Either every entry has a weight or none does. A plain list gets position-based
+ * weights so it keeps its listed order.
+ * @param {string} value - Raw priority list
+ * @param {number} maxEntries - Maximum number of entries allowed
+ * @returns {Array<{name: string, weight: number}>} - Entries sorted by descending weight (stable)
+ * @throws {Error} - If a weight is not a whole number in range, or weighted and unweighted entries are mixed
+ */
+function parsePriorityList (value, maxEntries = 20) {
+  if (!value || typeof value !== 'string') {
+    return []
+  }
+
+  const rawEntries = value.split(',').map((entry) => entry.trim()).filter(Boolean)
+  const seen = new Set()
+  let weightedCount = 0
+
+  const entries = rawEntries.reduce((acc, entry, index) => {
+    const separatorIndex = entry.lastIndexOf(':')
+    const rawName = separatorIndex === -1 ? entry : entry.slice(0, separatorIndex)
+    const rawWeight = separatorIndex === -1 ? '' : entry.slice(separatorIndex + 1).trim()
+
+    let name
+    try {
+      name = validateLabelName(rawName)
+    } catch (error) {
+      logger.warning(`Skipping invalid priority entry: ${error.message}`)
+      return acc
+    }
+
+    if (!name || seen.has(name)) {
+      return acc
+    }
+
+    // parseInt would accept "8.5" or "10abc", so the whole weight must be digits
+    if (rawWeight && !/^-?\d+$/.test(rawWeight)) {
+      throw new Error(`Invalid integer: ${rawWeight}. Priority weights must be whole numbers.`)
+    }
+    const weight = rawWeight
+      ? validatePositiveInteger(rawWeight, '0', 0, 1000)
+      : rawEntries.length - index
+
+    if (rawWeight) {
+      weightedCount++
+    }
+
+    seen.add(name)
+    acc.push({ name, weight })
+    return acc
+  }, [])
+
+  if (weightedCount > 0 && weightedCount < entries.length) {
+    throw new Error(
+      `Invalid priority list "${value}": give every entry a weight or none (e.g. "security:10,bug:8,docs:3" or "security,bug,docs").`
+    )
+  }
+
+  if (entries.length > maxEntries) {
+    logger.warning(`Too many priority entries (${entries.length}). Limiting to ${maxEntries}.`)
+    entries.length = maxEntries
+  }
+
+  // Array.prototype.sort is stable, so equal weights keep their listed order
+  return entries.sort((a, b) => b.weight - a.weight)
+}
+
+/**
+ * Validate that a value is one of a fixed set of choices
+ * @param {string} value - The value to validate
+ * @param {Array<string>} choices - Allowed values
+ * @param {string} defaultValue - Value used when input is empty
+ * @param {string} name - Input name used in error messages
+ * @returns {string} - Validated choice
+ * @throws {Error} - If value is not one of the allowed choices
+ */
+function validateChoice (value, choices, defaultValue, name) {
+  const trimmed = typeof value === 'string' ? value.trim() : ''
+  const choice = trimmed || defaultValue
+
+  if (!choices.includes(choice)) {
+    throw new Error(`Invalid ${name}: "${choice}". Must be one of: ${choices.join(', ')}.`)
+  }
+
+  return choice
+}
+
+/**
+ * Validate a comma-separated list of choices
+ * @param {string} value - Raw comma-separated list
+ * @param {Array<string>} choices - Allowed values
+ * @param {string} defaultValue - List used when input is empty
+ * @param {string} name - Input name used in error messages
+ * @returns {Array<string>} - Validated, de-duplicated choices in listed order
+ * @throws {Error} - If an entry is not one of the allowed choices
+ */
+function parseChoiceList (value, choices, defaultValue, name) {
+  const entries = (typeof value === 'string' ? value : '').split(',').map((entry) => entry.trim()).filter(Boolean)
+
+  return (entries.length > 0 ? entries : defaultValue.split(',')).reduce((acc, entry) => {
+    const choice = validateChoice(entry, choices, '', name)
+    if (!acc.includes(choice)) {
+      acc.push(choice)
+    }
+    return acc
+  }, [])
+}
+
+/**
+ * Parse score weight overrides for candidate ranking
+ * Accepts entries like "label:10,age:1"; components not listed keep their defaults
+ * @param {string} value - Raw score weights
+ * @returns {Object<string, number>} - Validated weight overrides keyed by score component
+ * @throws {Error} - If a component is unknown or a weight is invalid
+ */
+function parseScoreWeights (value) {
+  if (!value || typeof value !== 'string') {
+    return {}
+  }
+
+  const components = Object.keys(DEFAULT_SCORE_WEIGHTS)
+
+  return value.split(',').map((entry) => entry.trim()).filter(Boolean).reduce((acc, entry) => {
+    const [rawKey, rawWeight = ''] = entry.split(':')
+    const key = rawKey.trim()
+
+    if (!components.includes(key)) {
+      throw new Error(`Unknown score component: "${key}". Must be one of: ${components.join(', ')}.`)
+    }
+
+    acc[key] = validatePositiveInteger(rawWeight.trim(), '', 0, 100)
+    return acc
+  }, {})
+}
+
+/**
+ * Parse a Projects (v2) reference in the form "owner/number"
+ * @param {string} value - Raw project reference (e.g. "my-org/5")
+ * @returns {{owner: string, number: number}|null} - Parsed reference or null if empty
+ * @throws {Error} - If the reference is malformed
+ */
+function parseProjectReference (value) {
+  if (!value || typeof value !== 'string' || !value.trim()) {
+    return null
+  }
+
+  const match = value.trim().match(/^([A-Za-z0-9](?:[A-Za-z0-9-]{0,38}))\/(\d+)$/)
+  if (!match) {
+    throw new Error(`Invalid project reference: "${value.trim()}". Use the form "owner/number".`)
+  }
+
+  return {
+    owner: match[1],
+    number: validatePositiveInteger(match[2], '', 1, 1000000)
+  }
+}
+
+/**
+ * Parse a comma-separated list of free-form names (e.g. project field options)
+ * Names are only compared client-side, so any characters are allowed.
+ * @param {string} value - Raw comma-separated list
+ * @param {number} maxEntries - Maximum number of entries allowed
+ * @param {number} maxLength - Maximum length of each entry
+ * @returns {Array<string>} - Trimmed, non-empty names
+ */
+function parseNameList (value, maxEntries = 20, maxLength = 100) {
+  if (!value || typeof value !== 'string') {
+    return []
+  }
+
+  const names = value.split(',').map((name) => name.trim()).filter((name) => {
+    if (name.length > maxLength) {
+      logger.warning(`Skipping name longer than ${maxLength} characters: "${name.slice(0, 20)}..."`)
+      return false
+    }
+    return Boolean(name)
+  })
+
+  if (names.length > maxEntries) {
+    logger.warning(`Too many names (${names.length}). Limiting to ${maxEntries}.`)
+    return names.slice(0, maxEntries)
+  }
+
+  return names
+}
+
+/**
+ * Parse a maximum effort given as a size (XS..XL) or a number of points
+ * @param {string} value - Raw max effort
+ * @returns {number|null} - Effort points or null if empty
+ * @throws {Error} - If the value is not a known size or a number between 0 and 1000
+ */
+function parseEffort (value) {
+  const trimmed = typeof value === 'string' ? value.trim() : ''
+  if (!trimmed) {
+    return null
+  }
+
+  const points = toEffortPoints(trimmed)
+  if (points === null || points > 1000) {
+    throw new Error(
+      `Invalid max-effort: "${trimmed}". Use a size (${Object.keys(EFFORT_SIZES).join(', ')}) or a number between 0 and 1000.`
+    )
+  }
+
+  return points
+}
+
+/**
+ * Parse a user-supplied regular expression (matched case-insensitively)
+ * Matching is time-bounded by the caller; this only bounds the pattern size.
+ * @param {string} value - Raw pattern
+ * @param {string} name - Input name used in error messages
+ * @param {number} maxLength - Maximum pattern length
+ * @returns {RegExp|null} - Compiled pattern or null if empty
+ * @throws {Error} - If the pattern is too long or not a valid regular expression
+ */
+function parsePattern (value, name, maxLength = 200) {
+  const trimmed = typeof value === 'string' ? value.trim() : ''
+  if (!trimmed) {
+    return null
+  }
+
+  if (trimmed.length > maxLength) {
+    throw new Error(`Invalid ${name}: pattern too long (${trimmed.length} characters). Maximum is ${maxLength}.`)
+  }
+
+  try {
+    return new RegExp(trimmed, 'i')
+  } catch (error) {
+    throw new Error(`Invalid ${name}: ${error.message}`)
+  }
+}
+
+/**
+ * Validate a GitHub login (user or bot, optionally with a "[bot]" suffix)
+ * @param {string} login - The login to validate
+ * @returns {string} - Trimmed login
+ * @throws {Error} - If the login contains invalid characters or is too long
+ */
+function validateLogin (login) {
+  const trimmed = typeof login === 'string' ? login.trim() : ''
+  if (!/^[A-Za-z0-9](?:[A-Za-z0-9-]{0,38})(?:\[bot\])?$/.test(trimmed)) {
+    throw new Error(`Invalid login: "${trimmed}". Only alphanumeric characters and dashes allowed.`)
+  }
+  return trimmed
+}
+
+/**
+ * Parse a comma-separated list of GitHub logins (users or bots)
+ * @param {string} value - Raw comma-separated list
+ * @param {number} maxEntries - Maximum number of entries allowed
+ * @returns {Array<string>} - Validated, de-duplicated logins in listed order
+ * @throws {Error} - If a login contains invalid characters
+ */
+function parseLoginList (value, maxEntries = 10) {
+  if (!value || typeof value !== 'string') {
+    return []
+  }
+
+  const logins = value.split(',').map((login) => login.trim()).filter(Boolean).reduce((acc, raw) => {
+    const login = validateLogin(raw)
+    if (!acc.some((existing) => existing.toLowerCase() === login.toLowerCase())) {
+      acc.push(login)
+    }
+    return acc
+  }, [])
+
+  if (logins.length > maxEntries) {
+    logger.warning(`Too many logins (${logins.length}). Limiting to ${maxEntries}.`)
+    return logins.slice(0, maxEntries)
+  }
+
+  return logins
+}
+
+/**
+ * Parse label to agent routes in the form "label:login" (e.g. "documentation:docs-bot")
+ * The first route for a label wins; later duplicates are ignored.
+ * @param {string} value - Raw comma-separated routes
+ * @param {number} maxEntries - Maximum number of routes allowed
+ * @returns {Array<{label: string, agent: string}>} - Routes in listed order
+ * @throws {Error} - If a route is malformed
+ */
+function parseAgentRouting (value, maxEntries = 20) {
+  if (!value || typeof value !== 'string') {
+    return []
+  }
+
+  const routes = value.split(',').map((entry) => entry.trim()).filter(Boolean).reduce((acc, entry) => {
+    const separatorIndex = entry.lastIndexOf(':')
+    if (separatorIndex === -1) {
+      throw new Error(`Invalid agent route: "${entry}". Use the form "label:login".`)
+    }
+
+    const label = validateLabelName(entry.slice(0, separatorIndex))
+    if (!label) {
+      throw new Error(`Invalid agent route: "${entry}". Use the form "label:login".`)
+    }
+    const agent = validateLogin(entry.slice(separatorIndex + 1))
+
+    if (!acc.some((route) => route.label === label)) {
+      acc.push({ label, agent })
+    }
+    return acc
+  }, [])
+
+  if (routes.length > maxEntries) {
+    logger.warning(`Too many agent routes (${routes.length}). Limiting to ${maxEntries}.`)
+    return routes.slice(0, maxEntries)
+  }
+
+  return routes
+}
+
 module.exports = {
   validatePositiveInteger,
   validateLabelName,
-  validateLabelArray
+  validateLabelArray,
+  parsePriorityList,
+  validateChoice,
+  parseChoiceList,
+  parseScoreWeights,
+  parseProjectReference,
+  parseNameList,
+  parseLoginList,
+  parseAgentRouting,
+  parsePattern,
+  parseEffort
 }
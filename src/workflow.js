@@ -9,36 +9,127 @@
  * @param {Object} params.context - GitHub Actions context
  * @param {string} params.mode - Assignment mode ('auto' or 'refactor')
  * @param {string|null} params.labelOverride - Optional label to filter by
+ * @param {Array<{name: string, weight: number}>} params.labelPriority - Priority labels in search order (default: bug, documentation, refactor, enhancement)
+ * @param {Array<{name: string, weight: number}>} params.typePriority - Issue types in search order, searched before label priority (default: none)
  * @param {string|null} params.requiredLabel - Label that must be present for assignment eligibility
+ * @param {Array<string>} params.requiredLabels - Labels required for assignment eligibility; replaces requiredLabel when not empty
+ * @param {string} params.requiredLabelMode - Whether 'all' or 'any' of requiredLabels must be present (default: 'all')
+ * @param {string} params.approvalMinPermission - Minimum repository role of whoever added a required label: 'any' (no check), 'write', 'maintain' or 'admin' (default: 'any')
+ * @param {Array<string>} params.approvalAllowlist - Logins whose required labels are accepted regardless of their role
+ * @param {boolean} params.revokeApprovalOnEdit - Ignore an approval (label, reaction or comment) when the title or body was edited afterwards by someone below approvalMinPermission (write when 'any')
+ * @param {boolean} params.reapprovalComment - Comment on issues whose approval was revoked by an edit
+ * @param {Array<string>} params.approvalMethods - How the required approval can be given: 'label', 'reaction' and/or 'comment' (default: ['label'])
+ * @param {string} params.approvalReaction - Reaction that approves an issue with the 'reaction' method (default: 'rocket')
  * @param {boolean} params.force - Force assignment even if copilot has issues
  * @param {boolean} params.dryRun - Dry run mode
  * @param {boolean} params.allowParentIssues - Allow assigning parent issues
+ * @param {boolean} params.allowCompletedParentIssues - Allow assigning parent issues whose sub-issues are all closed
+ * @param {string} params.subIssuePolicy - How sub-issues are treated: 'include', 'prefer', 'deprioritize' or 'exclude' (default: 'include')
+ * @param {boolean} params.inheritParentApproval - Accept the required label on a sub-issue's parent issue
  * @param {Array<string>} params.skipLabels - Labels to skip
+ * @param {RegExp|null} params.includePattern - Pattern the title or body must match (null to disable)
+ * @param {RegExp|null} params.excludePattern - Pattern the title and body must not match (null to disable)
+ * @param {number|null} params.maxEffort - Maximum effort points; issues with a larger estimate are skipped (null to disable)
+ * @param {string} params.projectEstimateField - Project number field holding the effort estimate (default: 'Estimate')
  * @param {number} params.refactorThreshold - Number of closed issues to check
  * @param {boolean} params.createRefactorIssue - Whether to create new refactor issues
  * @param {string} params.refactorIssueTemplate - Path to the refactor issue template file
  * @param {number} params.waitSeconds - Number of seconds to wait for issue events (default: 0)
  * @param {number} params.refactorCooldownDays - Number of days to wait before creating a new auto-created refactor issue (default: 7)
+ * @param {string} params.ranking - Candidate selection strategy: 'first-match' or 'score' (default: 'first-match')
+ * @param {Object<string, number>} params.scoreWeights - Score component multiplier overrides for 'score' ranking
+ * @param {number} params.maxPages - Maximum number of pages to fetch per issue query (default: 10)
+ * @param {string} params.milestone - Preferred milestone: a milestone title, 'nearest' for the nearest due date, or empty to disable
+ * @param {{owner: string, number: number}|null} params.project - Projects (v2) board to read field values from
+ * @param {string} params.projectPriorityField - Single-select field holding the issue priority (default: 'Priority')
+ * @param {Array<string>} params.projectPriorityOrder - Priority option names, highest first
+ * @param {string} params.projectStatusField - Single-select field holding the issue status (default: 'Status')
+ * @param {string} params.projectReadyStatus - Status option an issue must have to be eligible (empty to disable)
+ * @param {string} params.projectStatusOnAssign - Status option to set when an issue is assigned or created (empty to disable)
+ * @param {number} params.maxConcurrent - Maximum number of open issues each agent may hold at once (default: 1)
+ * @param {Array<string>} params.agentLogins - Logins of the agents (bots or users) that may be assigned, in fill order (default: ['copilot-swe-agent'])
+ * @param {string} params.agentStrategy - Agent selection strategy: 'fill', 'least-loaded' or 'round-robin' (default: 'fill')
+ * @param {Array<{label: string, agent: string}>} params.agentRouting - Label to agent routes, checked in order
+ * @param {boolean} params.drillDownParentIssues - Assign the first eligible open sub-issue of a selected parent issue instead of skipping it
+ * @param {boolean} params.epicFocus - Prefer the remaining sub-issues of the parent of the most recently closed agent issue
+ * @param {number} params.staleAssignmentDays - Days without a linked pull request or activity before an agent assignment is reclaimed (0 to disable)
+ * @param {string} params.stalledLabel - Label added to reclaimed issues; issues with it are skipped (default: 'copilot-stalled')
+ * @param {number} params.maxAttempts - Pull requests closed without merging after which an issue is handed to a human (0 to disable)
+ * @param {string} params.needsHumanLabel - Label added to issues that reached maxAttempts; issues with it are skipped (default: 'needs-human')
  */
 
 const helpers = require('./helpers.js')
 const logger = require('./logger.js')
 
+// Default label priority, highest weight first
+const DEFAULT_LABEL_PRIORITY = [
+  { name: 'bug', weight: 4 },
+  { name: 'documentation', weight: 3 },
+  { name: 'refactor', weight: 2 },
+  { name: 'enhancement', weight: 1 }
+]
+
+// Default assignee: the Copilot coding agent
+const DEFAULT_AGENT_LOGINS = ['copilot-swe-agent']
+
+// Maximum sub-issue nesting depth followed when drilling down (GitHub allows 8 levels)
+const MAX_SUB_ISSUE_DEPTH = 8
+
+// Hidden marker identifying re-approval request comments
+const REAPPROVAL_MARKER = '<!-- auto-assign-copilot:reapproval -->'
+
 module.exports = async ({
   github,
   context,
   mode,
   labelOverride,
-  requiredLabel,
+  labelPriority = DEFAULT_LABEL_PRIORITY,
+  typePriority = [],
+  requiredLabel: configuredRequiredLabel,
+  requiredLabels = [],
+  requiredLabelMode = 'all',
+  approvalMinPermission = 'any',
+  approvalAllowlist = [],
+  revokeApprovalOnEdit = false,
+  reapprovalComment = false,
+  approvalMethods = ['label'],
+  approvalReaction = 'rocket',
   force,
   dryRun,
   allowParentIssues,
-  skipLabels,
+  allowCompletedParentIssues = false,
+  subIssuePolicy = 'include',
+  inheritParentApproval = false,
+  skipLabels: configuredSkipLabels = [],
+  includePattern = null,
+  excludePattern = null,
+  maxEffort = null,
+  projectEstimateField = 'Estimate',
   refactorThreshold,
   createRefactorIssue,
   refactorIssueTemplate,
   waitSeconds = 0,
-  refactorCooldownDays = 7
+  refactorCooldownDays = 7,
+  ranking = 'first-match',
+  scoreWeights = {},
+  maxPages = 10,
+  milestone = '',
+  project = null,
+  projectPriorityField = 'Priority',
+  projectPriorityOrder = [],
+  projectStatusField = 'Status',
+  projectReadyStatus = '',
+  projectStatusOnAssign = '',
+  maxConcurrent = 1,
+  agentLogins = DEFAULT_AGENT_LOGINS,
+  agentStrategy = 'fill',
+  agentRouting = [],
+  drillDownParentIssues = false,
+  epicFocus = false,
+  staleAssignmentDays = 0,
+  stalledLabel = 'copilot-stalled',
+  maxAttempts = 0,
+  needsHumanLabel = 'needs-human'
 }) => {
   // Common GraphQL query variables
   const repoVars = {
@@ -46,6 +137,38 @@ module.exports = async ({
     repo: context.repo.repo
   }
 
+  // Projects (v2) item fields, only queried when a project is configured
+  // because reading them requires the read:project scope
+  const PROJECT_ITEM_FIELDS = `
+    projectItems(first: 20) {
+      nodes {
+        project {
+          number
+          owner {
+            ... on Organization { login }
+            ... on User { login }
+          }
+        }
+        fieldValues(first: 50) {
+          nodes {
+            ... on ProjectV2ItemFieldSingleSelectValue {
+              name
+              field { ... on ProjectV2FieldCommon { name } }
+            }
+            ... on ProjectV2ItemFieldNumberValue {
+              number
+              field { ... on ProjectV2FieldCommon { name } }
+            }
+            ... on ProjectV2ItemFieldTextValue {
+              text
+              field { ... on ProjectV2FieldCommon { name } }
+            }
+          }
+        }
+      }
+    }
+  `
+
   // Common GraphQL fragment for issue fields
   const ISSUE_FIELDS = `
     id
@@ -53,6 +176,22 @@ module.exports = async ({
     title
     url
     body
+    createdAt
+    updatedAt
+    reactions {
+      totalCount
+    }
+    comments {
+      totalCount
+    }
+    milestone {
+      number
+      title
+      dueOn
+    }
+    issueType {
+      name
+    }
     assignees(first: 10) {
       nodes { login id }
     }
@@ -62,23 +201,165 @@ module.exports = async ({
     trackedIssues(first: 1) {
       totalCount
     }
+    closedByPullRequestsReferences(first: 10, includeClosedPrs: true) {
+      nodes { number state }
+    }
+    linkedBranches(first: 5) {
+      nodes { ref { name } }
+    }
+    timelineItems(itemTypes: [CROSS_REFERENCED_EVENT], last: 20) {
+      nodes {
+        ... on CrossReferencedEvent {
+          willCloseTarget
+          source {
+            ... on PullRequest { number state }
+          }
+        }
+      }
+    }
+    ${project ? PROJECT_ITEM_FIELDS : ''}
   `
 
-  // Wait for grace period if this is an issue event and wait-seconds is configured
-  if (context.eventName === 'issues' && waitSeconds > 0) {
+  // Project status target (IDs), resolved on first use
+  let projectStatusTarget = null
+
+  // Parent issue number kept in focus (undefined until resolved, null when none)
+  let focusParentNumber
+
+  // Reclaimed and exhausted issues keep their label, so they are never handed back to an agent
+  const skipLabels = [
+    ...configuredSkipLabels,
+    ...(staleAssignmentDays > 0 ? [stalledLabel] : []),
+    ...(maxAttempts > 0 ? [needsHumanLabel] : [])
+  ].filter((label, index, labels) => labels.indexOf(label) === index)
+
+  // Issues labeled for a human in this run
+  const needsHumanIssueNumbers = new Set()
+
+  // Candidate searches and per-issue REST lookups, cached for the run. Every slot
+  // searches the same candidates; issues picked for earlier slots are excluded
+  // through eligibility.excludedIssueNumbers instead of searching again.
+  const candidateSearches = new Map()
+  const subIssueCountsByIssue = new Map()
+  const blockersByIssue = new Map()
+  const parentsByIssue = new Map()
+
+  // Cleared when the issue dependencies API answers 404 (e.g. GitHub Enterprise Server without it)
+  let dependencyApiAvailable = true
+
+  // Approval label(s) every candidate, refactor issues included, must carry
+  const requiredLabel = requiredLabels.length > 0 ? requiredLabels : configuredRequiredLabel
+  const requiredLabelNames = (Array.isArray(requiredLabel) ? requiredLabel : [requiredLabel]).filter(Boolean)
+
+  // Approval checks, cached for the run: role per login, approval result per issue
+  const verifyApprovals = requiredLabelNames.length > 0 && (
+    approvalMinPermission !== 'any' ||
+    revokeApprovalOnEdit ||
+    approvalMethods.some((method) => method !== 'label')
+  )
+  const approverMinPermission = approvalMinPermission !== 'any' ? approvalMinPermission : 'write'
+  const repositoryRoles = new Map()
+  const approvalsByIssue = new Map()
+
+  // Eligibility rules applied on top of skip labels and the required label
+  const eligibility = {
+    // Issues already assigned or reclaimed earlier in this run
+    excludedIssueNumbers: new Set(),
+    allowCompletedParentIssues,
+    subIssuePolicy,
+    inheritParentApproval,
+    includePattern,
+    excludePattern,
+    maxEffort,
+    estimateField: projectEstimateField,
+    maxAttempts,
+    requiredLabelMode,
+    projectStatus: project && projectReadyStatus
+      ? { field: projectStatusField, value: projectReadyStatus }
+      : null
+  }
+
+  // Parent issues stay candidates when drilling down so their sub-issues can be reached
+  const candidateParentIssues = allowParentIssues || drillDownParentIssues
+
+  // Options for score-based ranking
+  const projectPriority = project && projectPriorityOrder.length > 0
+    ? { field: projectPriorityField, order: projectPriorityOrder }
+    : null
+
+  // Closed pull requests are handled like issue events: both usually free the agent
+  const isPullRequestClose = context.eventName === 'pull_request' && context.payload?.action === 'closed'
+  const isCloseEvent = context.eventName === 'issues' || isPullRequestClose
+  // Only a merged pull request closes issues, so only it counts toward the refactor ratio
+  const checksRefactorRatio = context.eventName === 'issues' ||
+    (isPullRequestClose && context.payload?.pull_request?.merged === true)
+
+  // Wait for grace period if this is an issue or pull request event and wait-seconds is configured
+  if (isCloseEvent && waitSeconds > 0) {
     logger.info(
-      `Issue event detected. Waiting ${waitSeconds} seconds for grace period before proceeding...`
+      `${isPullRequestClose ? 'Pull request' : 'Issue'} event detected. Waiting ${waitSeconds} seconds for grace period before proceeding...`
     )
     await new Promise((resolve) => setTimeout(resolve, waitSeconds * 1000))
     logger.info('Grace period complete. Proceeding with assignment.')
   }
 
   /**
-   * Fetch sub-issues for an issue using the REST API
+   * Fetch all pages of a repository issue connection using cursor-based pagination
+   * The query must declare a `$cursor: String` variable, pass it as `after` and
+   * select `pageInfo { hasNextPage endCursor }` on `repository.issues`.
+   * Stops after `maxPages` pages as a safety cap.
+   * @param {string} query - GraphQL query
+   * @param {Object} variables - Query variables (without cursor)
+   * @param {Object} [options={}] - Pagination options
+   * @param {number} [options.limit=Infinity] - Stop once this many nodes have been collected
+   * @param {Function} [options.stopWhen] - Stop once this returns true for a page of nodes
+   * @returns {Promise<Array>} - Collected issue nodes
+   */
+  async function paginateIssues (query, variables, { limit = Infinity, stopWhen } = {}) {
+    const nodes = []
+    let cursor = null
+
+    for (let page = 1; page <= maxPages; page++) {
+      const response = await github.graphql(query, { ...variables, cursor })
+      const connection = response.repository.issues
+      nodes.push(...connection.nodes)
+
+      if (nodes.length >= limit) {
+        return nodes.slice(0, limit)
+      }
+      if (!connection.pageInfo?.hasNextPage || stopWhen?.(connection.nodes)) {
+        return nodes
+      }
+      cursor = connection.pageInfo.endCursor
+    }
+
+    logger.warning(
+      `Reached max-pages limit (${maxPages}) while fetching issues. Results may be incomplete.`
+    )
+    return nodes
+  }
+
+  /**
+   * Return the cached value for a key, loading it on first use
+   * Promises are cached, so concurrent lookups of the same key share one call.
+   * @param {Map} cache - Cache for the run
+   * @param {string|number} key - Cache key
+   * @param {Function} load - Returns a promise for the value
+   * @returns {Promise<*>} - The cached value
+   */
+  function cached (cache, key, load) {
+    if (!cache.has(key)) {
+      cache.set(key, load())
+    }
+    return cache.get(key)
+  }
+
+  /**
+   * Count the open and closed sub-issues of an issue using the REST API
    * @param {number} issueNumber - The issue number to check
-   * @returns {Promise<number>} - Total count of sub-issues
+   * @returns {Promise<{open: number, closed: number}>} - Sub-issue counts by state
    */
-  async function getSubIssuesCount (issueNumber) {
+  async function getSubIssueCounts (issueNumber) {
     try {
       const subIssuesResponse = await github.request(
         'GET /repos/{owner}/{repo}/issues/{issue_number}/sub_issues',
@@ -92,327 +373,1708 @@ module.exports = async ({
           }
         }
       )
-      return subIssuesResponse.data.length
+      const closed = subIssuesResponse.data.filter((subIssue) => subIssue.state === 'closed').length
+      return { open: subIssuesResponse.data.length - closed, closed }
     } catch {
-      return 0
+      return { open: 0, closed: 0 }
     }
   }
 
   /**
    * Enriches issues with sub-issue counts from REST API
    * Modifies the issues array in-place by setting issue.trackedIssues.totalCount
+   * and the open/closed split in issue.subIssueCounts
    * @param {Array} issues - Array of issue objects
    */
   async function enrichWithSubIssues (issues) {
     await Promise.all(
       issues.map(async (issue) => {
-        const totalSubIssues = await getSubIssuesCount(issue.number)
-        issue.trackedIssues = { totalCount: totalSubIssues }
+        const counts = await cached(subIssueCountsByIssue, issue.number, () => getSubIssueCounts(issue.number))
+        issue.trackedIssues = { totalCount: counts.open + counts.closed }
+        issue.subIssueCounts = counts
       })
     )
   }
 
   /**
-   * Assign Copilot to an issue
-   * @param {string} issueId - The GraphQL ID of the issue
-   * @returns {Promise<void>}
+   * Get the parent of an issue using the REST API
+   * @param {number} issueNumber - Issue number
+   * @returns {Promise<{number: number, state: string, labels: Array<{name: string}>}|null>} - Parent issue or null
    */
-  async function assignCopilotToIssue (issueId) {
-    await github.graphql(
-      `
-        mutation($issueId: ID!, $assigneeIds: [ID!]!) {
-          addAssigneesToAssignable(
-            input: {
-              assignableId: $issueId,
-              assigneeIds: $assigneeIds
-            }
-          ) {
-            assignable {
-              ... on Issue {
-                assignees(first: 10) {
-                  nodes { login }
-                }
-              }
-            }
+  async function getParentIssue (issueNumber) {
+    try {
+      const { data } = await github.request(
+        'GET /repos/{owner}/{repo}/issues/{issue_number}/parent',
+        {
+          owner: context.repo.owner,
+          repo: context.repo.repo,
+          issue_number: issueNumber,
+          headers: {
+            'X-GitHub-Api-Version': '2022-11-28'
           }
         }
-      `,
-      {
-        issueId,
-        assigneeIds: [copilotBotId]
+      )
+      if (!data?.number) {
+        return null
       }
-    )
+      return {
+        number: data.number,
+        state: data.state,
+        labels: (data.labels || []).map((label) => ({ name: typeof label === 'string' ? label : label.name }))
+      }
+    } catch {
+      return null
+    }
   }
 
   /**
-   * Log and handle assignment (dry run or actual)
-   * @param {Object} issue - Issue to assign
-   * @param {string} type - Type of issue ('issue' or 'refactor issue')
-   * @returns {Promise<{issue: Object, effectiveMode: string}>} - Result object with issue and effectiveMode
+   * Enriches issues with their parent issue (only needed by sub-issue rules)
+   * Modifies the issues array in-place by setting issue.parentIssue
+   * @param {Array} issues - Array of issue objects
    */
-  async function handleAssignment (issue, type = 'issue') {
-    if (dryRun) {
-      logger.info(`[DRY RUN] Would assign ${type} #${issue.number} to Copilot`)
-      logger.info(`[DRY RUN] Issue title: ${issue.title}`)
-      logger.info(`[DRY RUN] Issue URL: ${issue.url}`)
-      return { issue, effectiveMode }
-    }
-
-    logger.info(`Assigning ${type} #${issue.number} to Copilot...`)
-    await assignCopilotToIssue(issue.id)
-    logger.info(`✓ Successfully assigned ${type} #${issue.number} to Copilot`)
-    logger.info(`  Title: ${issue.title}`)
-    logger.info(`  URL: ${issue.url}`)
-    return { issue, effectiveMode }
-  }
-
-  // Step 0: Determine mode based on recent closed issues (for issue close events)
-  let effectiveMode = mode
-  if (context.eventName === 'issues' && mode === 'auto') {
-    logger.info(
-      `Checking last ${refactorThreshold} closed issues to determine if refactor is needed...`
+  async function enrichWithParents (issues) {
+    await Promise.all(
+      issues.map(async (issue) => {
+        issue.parentIssue = await cached(parentsByIssue, issue.number, () => getParentIssue(issue.number))
+      })
     )
+  }
 
-    const fetchCount = refactorThreshold + 1
-    const closedIssuesResponse = await github.graphql(
-      `
-        query($owner: String!, $repo: String!, $fetchCount: Int!) {
-          repository(owner: $owner, name: $repo) {
-            issues(first: $fetchCount, states: CLOSED, orderBy: {field: UPDATED_AT, direction: DESC}) {
-              nodes {
-                number
-                title
-                closedAt
-                labels(first: 10) {
-                  nodes { name }
-                }
-              }
-            }
+  /**
+   * Get the open issues blocking an issue via the REST issue dependencies API
+   * A 404 means the API is not available; it is not called again and body
+   * references are used alone. Other errors fail closed.
+   * @param {number} issueNumber - Issue number
+   * @returns {Promise<Array<string>|null>} - References of open blocking issues ("#123" or "owner/repo#123"), or null when the lookup fails
+   */
+  async function getOpenDependencyBlockers (issueNumber) {
+    if (!dependencyApiAvailable) {
+      return []
+    }
+    try {
+      const response = await github.request(
+        'GET /repos/{owner}/{repo}/issues/{issue_number}/dependencies/blocked_by',
+        {
+          owner: context.repo.owner,
+          repo: context.repo.repo,
+          issue_number: issueNumber,
+          per_page: 100,
+          headers: {
+            'X-GitHub-Api-Version': '2022-11-28'
           }
         }
-      `,
-      {
-        ...repoVars,
-        fetchCount
+      )
+      const repoSuffix = `/repos/${context.repo.owner}/${context.repo.repo}`.toLowerCase()
+      return (response.data || [])
+        .filter((blocker) => blocker.state === 'open')
+        .map((blocker) => {
+          const repositoryUrl = (blocker.repository_url || '').toLowerCase()
+          return !repositoryUrl || repositoryUrl.endsWith(repoSuffix)
+            ? `#${blocker.number}`
+            : `${repositoryUrl.split('/repos/')[1]}#${blocker.number}`
+        })
+    } catch (error) {
+      if (error.status === 404) {
+        if (dependencyApiAvailable) {
+          dependencyApiAvailable = false
+          logger.info('Issue dependencies API is not available - using "Blocked by" / "Depends on" body references only')
+        }
+        return []
       }
-    )
-
-    const closedIssues = closedIssuesResponse.repository.issues.nodes
-    logger.info(`Found ${closedIssues.length} recently closed issues`)
+      logger.warning(`Could not read the dependencies of issue #${issueNumber}: ${error.message}`)
+      return null
+    }
+  }
 
-    const hasRefactor = helpers.hasRecentRefactorIssue(
-      closedIssues,
-      refactorThreshold
-    )
+  /**
+   * Get the open blockers of an issue
+   * Combines issue dependency relationships with "Blocked by #123" / "Depends on #123"
+   * lines in the body (a body reference counts while that issue is still open).
+   * @param {Object} issue - Issue object with number and body
+   * @returns {Promise<{blockers: Array<string>, unknown: boolean}>} - Blocker references, and whether the dependency lookup failed
+   */
+  async function getOpenBlockers (issue) {
+    const openIssueNumbers = new Set(allIssues.map((openIssue) => openIssue.number))
+    const dependencyBlockers = await getOpenDependencyBlockers(issue.number)
+    const blockers = dependencyBlockers || []
+
+    helpers.parseBlockingReferences(issue.body)
+      .filter((number) => number !== issue.number && openIssueNumbers.has(number))
+      .map((number) => `#${number}`)
+      .forEach((ref) => {
+        if (!blockers.includes(ref)) {
+          blockers.push(ref)
+        }
+      })
 
-    if (!hasRefactor) {
-      logger.info(
-        `None of the last ${refactorThreshold} closed issues have refactor label - switching to refactor mode`
-      )
-      effectiveMode = 'refactor'
-    } else {
-      logger.info(
-        `At least one of the last ${refactorThreshold} closed issues has refactor label - staying in auto mode`
-      )
+    if (blockers.length > 0) {
+      logger.info(`Issue #${issue.number} is blocked by open issue ${blockers.join(', ')}`)
     }
+    return { blockers, unknown: dependencyBlockers === null }
   }
 
-  logger.info(`Effective mode: ${effectiveMode}`)
+  /**
+   * Enriches issues with their open blockers (cached per issue for the run)
+   * Modifies the issues array in-place by setting issue.openBlockers, and
+   * issue.dependenciesUnknown when the dependency lookup failed (fails closed)
+   * @param {Array} issues - Array of issue objects
+   */
+  async function enrichWithDependencies (issues) {
+    await Promise.all(
+      issues.map(async (issue) => {
+        const { blockers, unknown } = await cached(blockersByIssue, issue.number, () => getOpenBlockers(issue))
+        issue.openBlockers = blockers
+        issue.dependenciesUnknown = unknown
+      })
+    )
+  }
 
-  // Step 1: Get repo ID, Copilot bot ID
-  const repoInfo = await github.graphql(
-    `
-      query($owner: String!, $repo: String!) {
-        repository(owner: $owner, name: $repo) {
-          id
-          suggestedActors(capabilities: [CAN_BE_ASSIGNED], first: 100) {
-            nodes { login __typename ... on Bot { id } ... on User { id } }
-          }
-        }
+  /**
+   * Log candidate issues that already have an open linked pull request or branch
+   * These are skipped by shouldSkipIssue; logging makes the reason visible in the run output
+   * @param {Array} issues - Array of issue objects
+   */
+  function logLinkedWork (issues) {
+    issues.forEach((issue) => {
+      const pullRequests = helpers.getOpenLinkedPullRequests(issue)
+      if (pullRequests.length > 0) {
+        logger.info(`Issue #${issue.number} has open linked pull request ${pullRequests.map((number) => `#${number}`).join(', ')}`)
       }
-    `,
-    repoVars
-  )
-
-  const repoId = repoInfo.repository.id
-  const copilotBot = repoInfo.repository.suggestedActors.nodes.find(
-    (n) => n.login === 'copilot-swe-agent' && n.__typename === 'Bot'
-  )
-  if (!copilotBot) {
-    throw new Error('Copilot bot agent not found in suggestedActors')
+      const branches = (issue.linkedBranches?.nodes || []).map((branch) => branch?.ref?.name).filter(Boolean)
+      if (branches.length > 0) {
+        logger.info(`Issue #${issue.number} has linked branch ${branches.join(', ')}`)
+      }
+    })
   }
-  const copilotBotId = copilotBot.id
-  logger.info(
-    `Found Copilot bot: login="${copilotBot.login}", id="${copilotBotId}"`
-  )
 
-  // Step 2: Check if Copilot is already assigned to an issue
-  logger.info('Querying for all open issues to check assignees...')
-  const allIssuesResponse = await github.graphql(
-    `
-      query($owner: String!, $repo: String!) {
-        repository(owner: $owner, name: $repo) {
-          issues(first: 100, states: OPEN) {
-            nodes {
-              ${ISSUE_FIELDS}
-            }
-          }
-        }
+  /**
+   * Log candidate issues whose effort estimate exceeds max-effort
+   * These are skipped by shouldSkipIssue; logging names the estimate and where it was found
+   * @param {Array} issues - Array of issue objects (with project fields when a project is configured)
+   */
+  function logOversizedIssues (issues) {
+    issues.forEach((issue) => {
+      const estimate = helpers.getEffortEstimate(issue, projectEstimateField)
+      if (estimate && estimate.points > maxEffort) {
+        logger.info(`Issue #${issue.number} has estimate ${estimate.display} (${estimate.source}), which exceeds max-effort ${maxEffort}`)
       }
-    `,
-    repoVars
-  )
+    })
+  }
 
-  const allIssues = allIssuesResponse.repository.issues.nodes
-  logger.info(`Found ${allIssues.length} total open issues`)
+  /**
+   * Add the needs-human label to candidates that reached max-attempts
+   * shouldSkipIssue skips them either way; the label keeps them out of later runs
+   * and tells maintainers why. Label failures are logged only.
+   * @param {Array} issues - Array of issue objects
+   * @returns {Promise<void>}
+   */
+  async function labelExhaustedIssues (issues) {
+    const exhausted = issues.filter((issue) =>
+      !needsHumanIssueNumbers.has(issue.number) &&
+      helpers.getFailedAttemptCount(issue) >= maxAttempts &&
+      !helpers.normalizeIssueLabels(issue).some((label) => label.name === needsHumanLabel)
+    )
 
-  const currentIssues = allIssues.filter((issue) =>
-    issue.assignees.nodes.some((assignee) => assignee.id === copilotBotId)
-  )
+    for (const issue of exhausted) {
+      needsHumanIssueNumbers.add(issue.number)
+      const attempts = helpers.getFailedAttemptCount(issue)
 
-  if (currentIssues.length > 0) {
-    logger.info(
-      `Found ${currentIssues.length} issue(s) assigned to copilot`
-    )
+      if (dryRun) {
+        logger.info(`[DRY RUN] Would add '${needsHumanLabel}' to issue #${issue.number}: ${attempts} failed attempts`)
+        continue
+      }
 
-    const { shouldAssign, reason } = helpers.shouldAssignNewIssue(
-      currentIssues,
-      effectiveMode,
-      force
-    )
-    if (!shouldAssign) {
-      logger.info(`Skipping assignment: ${reason}`)
-      return
+      try {
+        await github.request(
+          'POST /repos/{owner}/{repo}/issues/{issue_number}/labels',
+          {
+            owner: context.repo.owner,
+            repo: context.repo.repo,
+            issue_number: issue.number,
+            labels: [needsHumanLabel],
+            headers: {
+              'X-GitHub-Api-Version': '2022-11-28'
+            }
+          }
+        )
+        logger.info(`Added '${needsHumanLabel}' to issue #${issue.number}: ${attempts} failed attempts`)
+      } catch (error) {
+        logger.warning(`Failed to add '${needsHumanLabel}' to issue #${issue.number}: ${error.message}`)
+      }
     }
-    logger.info(`Proceeding with assignment: ${reason}`)
   }
 
-  // Step 3: Handle different modes
-  if (effectiveMode === 'refactor') {
-    // When effectiveMode is 'refactor', check if we got here due to refactor threshold
-    // being reached (no refactor in last N closed issues) vs. explicit refactor mode
-    // Threshold-triggered refactor mode should bypass cooldown to maintain ratio
-    const thresholdTriggeredRefactorMode = context.eventName === 'issues' && mode === 'auto'
-    return handleRefactorMode(thresholdTriggeredRefactorMode)
-  }
-  if (effectiveMode === 'auto') {
-    return assignNextIssue(labelOverride)
+  /**
+   * Get a login's role in the repository (cached)
+   * Lookup failures, e.g. for users who are not collaborators, count as no access.
+   * @param {string} login - User or bot login
+   * @returns {Promise<string>} - Repository role (see helpers.getRepositoryRole)
+   */
+  async function getRepositoryRole (login) {
+    if (!repositoryRoles.has(login)) {
+      repositoryRoles.set(login, (async () => {
+        try {
+          const { data } = await github.request(
+            'GET /repos/{owner}/{repo}/collaborators/{username}/permission',
+            {
+              owner: context.repo.owner,
+              repo: context.repo.repo,
+              username: login,
+              headers: {
+                'X-GitHub-Api-Version': '2022-11-28'
+              }
+            }
+          )
+          return helpers.getRepositoryRole(data)
+        } catch (error) {
+          logger.warning(`Could not read the repository role of ${login}: ${error.message}`)
+          return 'none'
+        }
+      })())
+    }
+    return repositoryRoles.get(login)
   }
-  throw new Error(`Unknown mode: ${effectiveMode}`)
 
   /**
-   * Handle refactor mode: assign existing refactor issue or create new one
-   * @param {boolean} bypassCooldown - Whether to bypass the cooldown check because the
-   *                                    refactor threshold was reached (not enough refactor
-   *                                    issues in the last N closed issues)
+   * Read the approval history of an issue: label and title events, body edits,
+   * approval reactions and recent comments
+   * @param {number} issueNumber - Issue number
+   * @returns {Promise<Object>} - GraphQL issue node
    */
-  async function handleRefactorMode (bypassCooldown = false) {
-    logger.info('Refactor mode: checking for available refactor issues...')
-
-    // Get all open issues with detailed info including trackedIssues
-    const refactorIssuesResponse = await github.graphql(
+  async function getApprovalHistory (issueNumber) {
+    const response = await github.graphql(
       `
-        query($owner: String!, $repo: String!) {
+        query($owner: String!, $repo: String!, $number: Int!, $reaction: ReactionContent!) {
           repository(owner: $owner, name: $repo) {
-            issues(first: 100, states: OPEN, labels: ["refactor"], orderBy: {field: CREATED_AT, direction: ASC}) {
-              nodes {
-                ${ISSUE_FIELDS}
+            issue(number: $number) {
+              timelineItems(itemTypes: [LABELED_EVENT, RENAMED_TITLE_EVENT], last: 100) {
+                nodes {
+                  __typename
+                  ... on LabeledEvent {
+                    createdAt
+                    label { name }
+                    actor { login }
+                  }
+                  ... on RenamedTitleEvent {
+                    createdAt
+                    actor { login }
+                  }
+                }
+              }
+              userContentEdits(last: 20) {
+                nodes {
+                  editedAt
+                  editor { login }
+                }
+              }
+              reactions(content: $reaction, last: 50) {
+                nodes {
+                  createdAt
+                  user { login }
+                }
+              }
+              comments(last: 50) {
+                nodes {
+                  createdAt
+                  body
+                  author { login }
+                }
               }
             }
           }
         }
       `,
-      repoVars
+      {
+        ...repoVars,
+        number: issueNumber,
+        reaction: helpers.REACTION_CONTENT[approvalReaction]
+      }
     )
+    return response?.repository?.issue || {}
+  }
 
-    const refactorIssues = refactorIssuesResponse.repository.issues.nodes
-    logger.info(
-      `Found ${refactorIssues.length} open issues with refactor label`
+  /**
+   * Check whether a login may approve issues or edit them without revoking approval
+   * @param {string} login - User or bot login
+   * @param {string} minRole - Minimum repository role
+   * @returns {Promise<{allowed: boolean, role: string|null}>} - Verdict and the role looked up (null if allowlisted)
+   */
+  async function checkApprover (login, minRole) {
+    if (helpers.isLoginListed(login, approvalAllowlist)) {
+      return { allowed: true, role: null }
+    }
+    const role = await getRepositoryRole(login)
+    return { allowed: helpers.meetsPermission(role, minRole), role }
+  }
+
+  /**
+   * Find the first title or body edit after an approval that revokes it
+   * Only checked with revokeApprovalOnEdit; edits by approvers do not revoke.
+   * @param {Object} history - Approval history from getApprovalHistory
+   * @param {string} approvedAt - ISO timestamp of the approval
+   * @returns {Promise<{login: string|null, at: string, field: string}|null>} - The revoking edit, if any
+   */
+  async function findRevokingEdit (history, approvedAt) {
+    if (!revokeApprovalOnEdit) {
+      return null
+    }
+    for (const edit of helpers.getContentEditsSince(history, approvedAt)) {
+      const { allowed } = edit.login
+        ? await checkApprover(edit.login, approverMinPermission)
+        : { allowed: false }
+      if (!allowed) {
+        return edit
+      }
+    }
+    return null
+  }
+
+  /**
+   * Decide how an issue is approved
+   * Required labels only count with the 'label' method. The most recent LabeledEvent
+   * for each label decides: with approvalMinPermission the labeler needs that role,
+   * and with revokeApprovalOnEdit a later title or body edit by someone below the
+   * approver role revokes the label. Reactions and `/copilot approve` comments
+   * approve when their author has the approver role, subject to the same edit rule.
+   * Missing events and failed lookups fail closed.
+   * @param {Object} issue - Issue with number and labels
+   * @returns {Promise<{unapprovedLabels: Array<string>, approvedBy: Array<string>}>} - Required labels that do not count, and the other methods that approved the issue
+   */
+  async function verifyApproval (issue) {
+    const issueLabels = helpers.normalizeIssueLabels(issue).map((label) => label.name)
+    const present = requiredLabelNames.filter((name) => issueLabels.includes(name))
+    const labelMethod = approvalMethods.includes('label')
+    const otherMethods = approvalMethods.filter((method) => method !== 'label')
+    const checkLabels = labelMethod && present.length > 0 &&
+      (approvalMinPermission !== 'any' || revokeApprovalOnEdit)
+
+    const result = { unapprovedLabels: labelMethod ? [] : present, approvedBy: [] }
+    if (!checkLabels && otherMethods.length === 0) {
+      return result
+    }
+
+    let history
+    try {
+      history = await getApprovalHistory(issue.number)
+    } catch (error) {
+      logger.warning(`Could not read the approval history of issue #${issue.number}: ${error.message}`)
+      return { unapprovedLabels: present, approvedBy: [] }
+    }
+
+    let revokingEdit = null
+    for (const name of checkLabels ? present : []) {
+      const labelEvent = helpers.findLabelEvent(history.timelineItems?.nodes, name)
+      const actor = labelEvent?.actor?.login
+      if (!actor) {
+        logger.info(`Issue #${issue.number}: no event found for label "${name}" - not treated as approved`)
+        result.unapprovedLabels.push(name)
+        continue
+      }
+
+      if (approvalMinPermission !== 'any') {
+        const { allowed, role } = await checkApprover(actor, approvalMinPermission)
+        if (!allowed) {
+          logger.info(
+            `Issue #${issue.number}: label "${name}" was added by ${actor} (${role}), below ${approvalMinPermission} - not treated as approved`
+          )
+          result.unapprovedLabels.push(name)
+          continue
+        }
+      }
+
+      const edit = await findRevokingEdit(history, labelEvent.createdAt)
+      if (edit) {
+        logger.info(
+          `Issue #${issue.number}: ${edit.field} was edited by ${edit.login || 'an unknown user'} after label "${name}" was added - approval revoked`
+        )
+        result.unapprovedLabels.push(name)
+        revokingEdit = revokingEdit || edit
+      }
+    }
+
+    for (const method of otherMethods) {
+      for (const action of helpers.getApprovalActions(history, method)) {
+        if (!(await checkApprover(action.login, approverMinPermission)).allowed) {
+          continue
+        }
+        const edit = await findRevokingEdit(history, action.at)
+        if (edit) {
+          logger.info(
+            `Issue #${issue.number}: ${edit.field} was edited by ${edit.login || 'an unknown user'} after the approving ${method} by ${action.login} - approval revoked`
+          )
+          revokingEdit = revokingEdit || edit
+          break
+        }
+        logger.info(`Issue #${issue.number}: approved by ${method} from ${action.login}`)
+        result.approvedBy.push(method)
+        break
+      }
+    }
+
+    if (revokingEdit && reapprovalComment && result.approvedBy.length === 0) {
+      await requestReapproval(issue, history, revokingEdit)
+    }
+    return result
+  }
+
+  /**
+   * Comment on an issue whose approval was revoked by an edit, asking for re-approval
+   * Skipped when a re-approval comment already follows the edit. Failures are logged only.
+   * @param {Object} issue - Issue with number
+   * @param {Object} history - Approval history from getApprovalHistory
+   * @param {{login: string|null, at: string, field: string}} edit - The revoking edit
+   * @returns {Promise<void>}
+   */
+  async function requestReapproval (issue, history, edit) {
+    const alreadyAsked = (history.comments?.nodes || []).some((comment) =>
+      comment?.body?.includes(REAPPROVAL_MARKER) && new Date(comment.createdAt) >= new Date(edit.at)
     )
+    if (alreadyAsked) {
+      return
+    }
 
-    // Check for sub-issues via REST API
-    await enrichWithSubIssues(refactorIssues)
+    if (dryRun) {
+      logger.info(`[DRY RUN] Would ask for re-approval on issue #${issue.number}`)
+      return
+    }
 
-    // Try to find an assignable refactor issue
-    const availableRefactorIssue = helpers.findAssignableIssue(
-      refactorIssues,
-      allowParentIssues,
-      skipLabels,
-      requiredLabel
+    const ways = {
+      label: `removing and adding ${requiredLabelNames.map((name) => `\`${name}\``).join(', ')} again`,
+      reaction: `reacting with \`${approvalReaction}\` again (remove an existing reaction first)`,
+      comment: 'commenting `/copilot approve`'
+    }
+
+    try {
+      await github.request(
+        'POST /repos/{owner}/{repo}/issues/{issue_number}/comments',
+        {
+          owner: context.repo.owner,
+          repo: context.repo.repo,
+          issue_number: issue.number,
+          body: `${REAPPROVAL_MARKER}\nThe ${edit.field} was edited after this issue was approved, so it will not be assigned automatically. ` +
+            `A maintainer can re-approve it by ${approvalMethods.map((method) => ways[method]).join(' or ')}.`,
+          headers: {
+            'X-GitHub-Api-Version': '2022-11-28'
+          }
+        }
+      )
+      logger.info(`Asked for re-approval on issue #${issue.number}`)
+    } catch (error) {
+      logger.warning(`Failed to comment on issue #${issue.number}: ${error.message}`)
+    }
+  }
+
+  /**
+   * Record how candidate issues are approved (see verifyApproval)
+   * Sets unapprovedLabels, which hasRequiredLabel ignores, and approvedBy, which
+   * satisfies the requirement without a label.
+   * @param {Array} issues - Issues (candidates and their parents) with number and labels
+   * @returns {Promise<void>}
+   */
+  async function enrichWithApprovals (issues) {
+    await Promise.all(
+      issues.map(async (issue) => {
+        if (!approvalsByIssue.has(issue.number)) {
+          approvalsByIssue.set(issue.number, verifyApproval(issue))
+        }
+        const { unapprovedLabels, approvedBy } = await approvalsByIssue.get(issue.number)
+        issue.unapprovedLabels = unapprovedLabels
+        issue.approvedBy = approvedBy
+      })
     )
+  }
 
-    if (availableRefactorIssue) {
-      logger.info(
-        `Found available refactor issue #${availableRefactorIssue.number}: ${availableRefactorIssue.title}`
+  /**
+   * Enrich candidate issues and order them for selection
+   * Adds sub-issue counts, open blockers, project field values (when a project
+   * is configured), parent issues (when sub-issue rules are configured) and
+   * labeler checks (when approvals are verified), labels issues that reached
+   * max-attempts, logs linked work and oversized estimates, then applies the
+   * project priority order within the given list. Labeling and approval checks
+   * only cover issues that pass shouldSkipIssue, so assigned or skipped issues
+   * are neither labeled nor commented on.
+   * @param {Array} issues - Array of issue objects
+   * @returns {Promise<Array>} - The enriched issues in selection order
+   */
+  async function prepareCandidates (issues) {
+    // WORKAROUND: GraphQL trackedIssues returns 0 even when sub-issues exist
+    // Solution: Use REST API sub_issues endpoint
+    await enrichWithSubIssues(issues)
+    await enrichWithDependencies(issues)
+    if (project) {
+      issues.forEach((issue) => {
+        issue.projectFields = helpers.getProjectFieldValues(issue, project)
+      })
+    }
+    logLinkedWork(issues)
+    if (subIssuePolicy !== 'include' || inheritParentApproval) {
+      await enrichWithParents(issues)
+    }
+
+    // Parent and sub-issue rules depend on where the issue is picked (search or
+    // drill-down), so they are left to the selection itself
+    const precheck = { ...eligibility, subIssuePolicy: 'include' }
+    const passesPrecheck = (issue, options) =>
+      !helpers.shouldSkipIssue(helpers.parseIssueData(issue), true, skipLabels, options).shouldSkip
+
+    if (maxAttempts > 0) {
+      await labelExhaustedIssues(issues.filter((issue) => passesPrecheck(issue, { ...precheck, maxAttempts: 0 })))
+    }
+    if (verifyApprovals) {
+      const candidates = issues.filter((issue) => passesPrecheck(issue, precheck))
+      await enrichWithApprovals(inheritParentApproval
+        ? [...candidates, ...candidates.map((issue) => issue.parentIssue).filter(Boolean)]
+        : candidates)
+    }
+    if (maxEffort != null) {
+      logOversizedIssues(issues)
+    }
+
+    return projectPriority
+      ? helpers.sortByProjectPriority(issues, projectPriority.field, projectPriority.order)
+      : issues
+  }
+
+  /**
+   * Assign an agent to an issue
+   * @param {string} issueId - The GraphQL ID of the issue
+   * @param {{login: string, id: string}} agent - Agent to assign
+   * @returns {Promise<void>}
+   */
+  async function assignAgentToIssue (issueId, agent) {
+    await github.graphql(
+      `
+        mutation($issueId: ID!, $assigneeIds: [ID!]!) {
+          addAssigneesToAssignable(
+            input: {
+              assignableId: $issueId,
+              assigneeIds: $assigneeIds
+            }
+          ) {
+            assignable {
+              ... on Issue {
+                assignees(first: 10) {
+                  nodes { login }
+                }
+              }
+            }
+          }
+        }
+      `,
+      {
+        issueId,
+        assigneeIds: [agent.id]
+      }
+    )
+  }
+
+  /**
+   * Unassign agents from issues that stalled without a linked pull request or activity
+   * Each reclaimed issue gets the stalled label and a comment with the reason, and
+   * its slot is freed for this run. Label and comment failures are logged only.
+   * @param {Array<{login: string, id: string}>} agents - Agents whose assignments are checked
+   * @returns {Promise<void>}
+   */
+  async function reclaimStalledAssignments (agents) {
+    const now = new Date()
+
+    for (const agent of agents) {
+      const stalledIssues = allIssues.filter((issue) =>
+        issue.assignees.nodes.some((assignee) => assignee.id === agent.id) &&
+        helpers.isStalledAssignment(issue, staleAssignmentDays, now)
       )
-      return handleAssignment(availableRefactorIssue, 'refactor issue')
+
+      for (const issue of stalledIssues) {
+        const reason = `no linked pull request or activity for ${staleAssignmentDays} days`
+
+        if (dryRun) {
+          logger.info(`[DRY RUN] Would reclaim issue #${issue.number} from ${agent.login}: ${reason}`)
+        } else {
+          logger.info(`Reclaiming issue #${issue.number} from ${agent.login}: ${reason}`)
+          await github.graphql(
+            `
+              mutation($issueId: ID!, $assigneeIds: [ID!]!) {
+                removeAssigneesFromAssignable(input: {
+                  assignableId: $issueId,
+                  assigneeIds: $assigneeIds
+                }) {
+                  assignable {
+                    ... on Issue { number }
+                  }
+                }
+              }
+            `,
+            {
+              issueId: issue.id,
+              assigneeIds: [agent.id]
+            }
+          )
+
+          try {
+            await github.request(
+              'POST /repos/{owner}/{repo}/issues/{issue_number}/labels',
+              {
+                owner: context.repo.owner,
+                repo: context.repo.repo,
+                issue_number: issue.number,
+                labels: [stalledLabel],
+                headers: {
+                  'X-GitHub-Api-Version': '2022-11-28'
+                }
+              }
+            )
+            await github.request(
+              'POST /repos/{owner}/{repo}/issues/{issue_number}/comments',
+              {
+                owner: context.repo.owner,
+                repo: context.repo.repo,
+                issue_number: issue.number,
+                body: `Unassigned ${agent.login}: ${reason}. ` +
+                  `The \`${stalledLabel}\` label keeps this issue from being assigned again automatically; remove it to make the issue eligible.`,
+                headers: {
+                  'X-GitHub-Api-Version': '2022-11-28'
+                }
+              }
+            )
+          } catch (error) {
+            logger.warning(`Failed to label or comment on reclaimed issue #${issue.number}: ${error.message}`)
+          }
+          logger.info(`✓ Reclaimed issue #${issue.number}`)
+        }
+
+        // Free the slot and keep the issue out of this run's candidates
+        issue.assignees.nodes = issue.assignees.nodes.filter((assignee) => assignee.id !== agent.id)
+        eligibility.excludedIssueNumbers.add(issue.number)
+      }
     }
+  }
 
-    // Check if we should create a new refactor issue
-    if (!createRefactorIssue) {
+  /**
+   * Log and handle assignment (dry run or actual)
+   * @param {Object} issue - Issue to assign
+   * @param {string} type - Type of issue ('issue' or 'refactor issue')
+   * @param {{login: string, id: string}} agent - Agent to assign
+   * @returns {Promise<{issue: Object, effectiveMode: string, agent: string}>} - Result object with issue, effectiveMode and agent login
+   */
+  async function handleAssignment (issue, type, agent) {
+    if (dryRun) {
+      logger.info(`[DRY RUN] Would assign ${type} #${issue.number} to ${agent.login}`)
+      logger.info(`[DRY RUN] Issue title: ${issue.title}`)
+      logger.info(`[DRY RUN] Issue URL: ${issue.url}`)
+      await syncProjectStatus(issue)
+      return { issue, effectiveMode, agent: agent.login }
+    }
+
+    logger.info(`Assigning ${type} #${issue.number} to ${agent.login}...`)
+    await assignAgentToIssue(issue.id, agent)
+    logger.info(`✓ Successfully assigned ${type} #${issue.number} to ${agent.login}`)
+    logger.info(`  Title: ${issue.title}`)
+    logger.info(`  URL: ${issue.url}`)
+    await syncProjectStatus(issue)
+    return { issue, effectiveMode, agent: agent.login }
+  }
+
+  /**
+   * Look up the configured project and the option ID of the status to set
+   * The result is cached for the rest of the run.
+   * @returns {Promise<{projectId: string, fieldId: string, optionId: string}>} - Project IDs
+   * @throws {Error} - If the project, field or option cannot be found
+   */
+  async function getProjectStatusTarget () {
+    if (projectStatusTarget) {
+      return projectStatusTarget
+    }
+
+    const response = await github.graphql(
+      `
+        query($login: String!, $number: Int!, $field: String!) {
+          repositoryOwner(login: $login) {
+            ... on ProjectV2Owner {
+              projectV2(number: $number) {
+                id
+                field(name: $field) {
+                  ... on ProjectV2SingleSelectField {
+                    id
+                    options { id name }
+                  }
+                }
+              }
+            }
+          }
+        }
+      `,
+      {
+        login: project.owner,
+        number: project.number,
+        field: projectStatusField
+      }
+    )
+
+    const projectNode = response?.repositoryOwner?.projectV2
+    if (!projectNode) {
+      throw new Error(`Project ${project.owner}/${project.number} not found`)
+    }
+    const option = projectNode.field?.options?.find(
+      (o) => o.name === projectStatusOnAssign
+    )
+    if (!option) {
+      throw new Error(
+        `Option "${projectStatusOnAssign}" not found in single-select field "${projectStatusField}"`
+      )
+    }
+
+    projectStatusTarget = {
+      projectId: projectNode.id,
+      fieldId: projectNode.field.id,
+      optionId: option.id
+    }
+    return projectStatusTarget
+  }
+
+  /**
+   * Add an issue to the configured project and set its status field
+   * Failures are logged but do not fail the run, since the issue was already assigned.
+   * @param {Object} issue - Issue with GraphQL id and number
+   * @returns {Promise<void>}
+   */
+  async function syncProjectStatus (issue) {
+    if (!project || !projectStatusOnAssign) {
+      return
+    }
+
+    if (dryRun) {
       logger.info(
-        'No available refactor issues found, but create-refactor-issue is disabled. Skipping refactor issue creation.'
+        `[DRY RUN] Would set project ${projectStatusField} to "${projectStatusOnAssign}"`
       )
       return
     }
 
-    logger.info('No available refactor issues found - creating a new one')
-    return createRefactorIssueFunc(bypassCooldown)
+    try {
+      const { projectId, fieldId, optionId } = await getProjectStatusTarget()
+
+      // addProjectV2ItemById returns the existing item if the issue is already in the project
+      const itemResponse = await github.graphql(
+        `
+          mutation($projectId: ID!, $contentId: ID!) {
+            addProjectV2ItemById(input: { projectId: $projectId, contentId: $contentId }) {
+              item { id }
+            }
+          }
+        `,
+        {
+          projectId,
+          contentId: issue.id
+        }
+      )
+
+      await github.graphql(
+        `
+          mutation($projectId: ID!, $itemId: ID!, $fieldId: ID!, $optionId: String!) {
+            updateProjectV2ItemFieldValue(
+              input: {
+                projectId: $projectId,
+                itemId: $itemId,
+                fieldId: $fieldId,
+                value: { singleSelectOptionId: $optionId }
+              }
+            ) {
+              projectV2Item { id }
+            }
+          }
+        `,
+        {
+          projectId,
+          itemId: itemResponse.addProjectV2ItemById.item.id,
+          fieldId,
+          optionId
+        }
+      )
+
+      logger.info(
+        `✓ Set project ${projectStatusField} of #${issue.number} to "${projectStatusOnAssign}"`
+      )
+    } catch (error) {
+      logger.error(`Failed to update project status: ${error.message}`)
+      // Don't throw - the issue was assigned successfully
+    }
   }
 
   /**
-   * Create a refactor issue
-   * @param {boolean} bypassCooldown - Whether to bypass the cooldown check because the
-   *                                    refactor threshold was reached (not enough refactor
-   *                                    issues in the last N closed issues)
+   * Get the issues closed by the merged pull request that triggered this run
+   * GitHub closes them asynchronously, so they may not be listed as closed yet.
+   * @returns {Promise<Array>} - Closed issues (number, title, labels); empty if the pull request was not merged or the lookup fails
    */
-  async function createRefactorIssueFunc (bypassCooldown = false) {
-    if (!bypassCooldown) {
-      logger.info('Checking cooldown period for auto-created refactor issues...')
+  async function getPullRequestClosedIssues () {
+    const pullRequest = context.payload?.pull_request
+    if (!pullRequest?.merged) {
+      return []
+    }
 
-      const recentClosedResponse = await github.graphql(
+    try {
+      const response = await github.graphql(
         `
-          query($owner: String!, $repo: String!) {
+          query($owner: String!, $repo: String!, $number: Int!) {
             repository(owner: $owner, name: $repo) {
-              issues(first: 20, states: CLOSED, orderBy: {field: UPDATED_AT, direction: DESC}) {
-                nodes {
-                  number
-                  title
-                  closedAt
-                  labels(first: 10) {
-                    nodes { name }
+              pullRequest(number: $number) {
+                closingIssuesReferences(first: 20) {
+                  nodes {
+                    number
+                    title
+                    closedAt
+                    labels(first: 10) {
+                      nodes { name }
+                    }
                   }
                 }
               }
             }
           }
         `,
-        repoVars
+        {
+          ...repoVars,
+          number: pullRequest.number
+        }
       )
+      const issues = response?.repository?.pullRequest?.closingIssuesReferences?.nodes || []
+      logger.info(
+        `Pull request #${pullRequest.number} closed ${issues.length} issue(s)${issues.length > 0 ? `: ${issues.map((issue) => `#${issue.number}`).join(', ')}` : ''}`
+      )
+      return issues
+    } catch (error) {
+      logger.warning(`Could not read issues closed by pull request #${pullRequest.number}: ${error.message}`)
+      return []
+    }
+  }
+
+  // Step 0: Determine mode based on recent closed issues (for issue events and merged pull requests)
+  let effectiveMode = mode
+  if (checksRefactorRatio && mode === 'auto') {
+    logger.info(
+      `Checking last ${refactorThreshold} closed issues to determine if refactor is needed...`
+    )
+
+    const closedIssuesLimit = refactorThreshold + 1
+    const fetchCount = Math.min(closedIssuesLimit, 100)
+    const closedIssues = await paginateIssues(
+      `
+        query($owner: String!, $repo: String!, $fetchCount: Int!, $cursor: String) {
+          repository(owner: $owner, name: $repo) {
+            issues(first: $fetchCount, after: $cursor, states: CLOSED, orderBy: {field: UPDATED_AT, direction: DESC}) {
+              nodes {
+                number
+                title
+                closedAt
+                labels(first: 10) {
+                  nodes { name }
+                }
+              }
+              pageInfo { hasNextPage endCursor }
+            }
+          }
+        }
+      `,
+      {
+        ...repoVars,
+        fetchCount
+      },
+      { limit: closedIssuesLimit }
+    )
+
+    logger.info(`Found ${closedIssues.length} recently closed issues`)
+
+    // Issues closed by the merged pull request count as the most recent ones
+    const pullRequestClosedIssues = isPullRequestClose ? await getPullRequestClosedIssues() : []
+    const recentClosedIssues = [
+      ...pullRequestClosedIssues,
+      ...closedIssues.filter((issue) =>
+        !pullRequestClosedIssues.some((closed) => closed.number === issue.number)
+      )
+    ]
+
+    const hasRefactor = helpers.hasRecentRefactorIssue(
+      recentClosedIssues,
+      refactorThreshold
+    )
+
+    if (!hasRefactor) {
+      logger.info(
+        `None of the last ${refactorThreshold} closed issues have refactor label - switching to refactor mode`
+      )
+      effectiveMode = 'refactor'
+    } else {
+      logger.info(
+        `At least one of the last ${refactorThreshold} closed issues has refactor label - staying in auto mode`
+      )
+    }
+  }
+
+  logger.info(`Effective mode: ${effectiveMode}`)
+
+  // Step 1: Get repo ID and the IDs of the configured agents
+  const repoInfo = await github.graphql(
+    `
+      query($owner: String!, $repo: String!) {
+        repository(owner: $owner, name: $repo) {
+          id
+          suggestedActors(capabilities: [CAN_BE_ASSIGNED], first: 100) {
+            nodes { login __typename ... on Bot { id } ... on User { id } }
+          }
+        }
+      }
+    `,
+    repoVars
+  )
+
+  const repoId = repoInfo.repository.id
+  const actors = repoInfo.repository.suggestedActors.nodes
+  agentLogins
+    .filter((login) => helpers.findAgents(actors, [login]).length === 0)
+    .forEach((login) => logger.warning(`Agent "${login}" not found in suggestedActors - skipping it`))
+  const agents = helpers.findAgents(actors, agentLogins)
+  if (agents.length === 0) {
+    throw new Error(
+      `None of the configured agents (${agentLogins.join(', ')}) were found in suggestedActors`
+    )
+  }
+  agents.forEach((agent) => {
+    logger.info(`Found agent: login="${agent.login}", id="${agent.id}"`)
+  })
+  agentRouting
+    .filter((route) => !agents.some((agent) => agent.login.toLowerCase() === route.agent.toLowerCase()))
+    .forEach((route) => logger.warning(
+      `Label "${route.label}" is routed to "${route.agent}", which is not a configured agent - matching issues will be skipped`
+    ))
+
+  // Step 2: Check how many issues each agent is already assigned
+  logger.info('Querying for all open issues to check assignees...')
+  const allIssues = await paginateIssues(
+    `
+      query($owner: String!, $repo: String!, $cursor: String) {
+        repository(owner: $owner, name: $repo) {
+          issues(first: 100, after: $cursor, states: OPEN) {
+            nodes {
+              ${ISSUE_FIELDS}
+            }
+            pageInfo { hasNextPage endCursor }
+          }
+        }
+      }
+    `,
+    repoVars
+  )
+  logger.info(`Found ${allIssues.length} total open issues`)
+
+  if (staleAssignmentDays > 0) {
+    await reclaimStalledAssignments(agents)
+  }
+
+  const agentSlots = agents.reduce((acc, agent) => {
+    const currentIssues = allIssues.filter((issue) =>
+      issue.assignees.nodes.some((assignee) => assignee.id === agent.id)
+    )
+
+    if (currentIssues.length === 0) {
+      acc.push({ agent, slots: maxConcurrent, load: 0 })
+      return acc
+    }
+
+    logger.info(
+      `Found ${currentIssues.length} issue(s) assigned to ${agent.login}`
+    )
+
+    const { shouldAssign, reason, slots } = helpers.shouldAssignNewIssue(
+      currentIssues,
+      effectiveMode,
+      force,
+      maxConcurrent
+    )
+    if (!shouldAssign) {
+      logger.info(`Skipping ${agent.login}: ${reason}`)
+      return acc
+    }
+    logger.info(`Proceeding with assignment to ${agent.login}: ${reason}`)
+    acc.push({ agent, slots, load: currentIssues.length })
+    return acc
+  }, [])
+
+  if (agentSlots.length === 0) {
+    logger.info('Skipping assignment: no agent has a free slot')
+    return
+  }
+
+  // Step 3: Handle different modes
+  if (effectiveMode === 'refactor') {
+    // When effectiveMode is 'refactor', check if we got here due to refactor threshold
+    // being reached (no refactor in last N closed issues) vs. explicit refactor mode
+    // Threshold-triggered refactor mode should bypass cooldown to maintain ratio
+    const thresholdTriggeredRefactorMode = checksRefactorRatio && mode === 'auto'
+    const refactorAgent = selectRefactorAgent(agentSlots)
+    if (!refactorAgent) {
+      return
+    }
+    return handleRefactorMode(refactorAgent, thresholdTriggeredRefactorMode)
+  }
+  if (effectiveMode === 'auto') {
+    return fillAvailableSlots(agentSlots)
+  }
+  throw new Error(`Unknown mode: ${effectiveMode}`)
+
+  /**
+   * Handle refactor mode: assign existing refactor issue or create new one
+   * @param {{login: string, id: string}} agent - Agent to assign
+   * @param {boolean} bypassCooldown - Whether to bypass the cooldown check because the
+   *                                    refactor threshold was reached (not enough refactor
+   *                                    issues in the last N closed issues)
+   */
+  async function handleRefactorMode (agent, bypassCooldown = false) {
+    logger.info('Refactor mode: checking for available refactor issues...')
+
+    // Get all open issues with detailed info including trackedIssues
+    const refactorIssues = await paginateIssues(
+      `
+        query($owner: String!, $repo: String!, $cursor: String) {
+          repository(owner: $owner, name: $repo) {
+            issues(first: 100, after: $cursor, states: OPEN, labels: ["refactor"], orderBy: {field: CREATED_AT, direction: ASC}) {
+              nodes {
+                ${ISSUE_FIELDS}
+              }
+              pageInfo { hasNextPage endCursor }
+            }
+          }
+        }
+      `,
+      repoVars
+    )
+    logger.info(
+      `Found ${refactorIssues.length} open issues with refactor label`
+    )
+
+    // Check for sub-issues via REST API
+    const refactorCandidates = await prepareCandidates(refactorIssues)
+
+    // Try to find an assignable refactor issue
+    let availableRefactorIssue = null
+    for (const candidate of helpers.filterAssignableIssues(
+      refactorCandidates,
+      candidateParentIssues,
+      skipLabels,
+      requiredLabel,
+      eligibility
+    )) {
+      availableRefactorIssue = await resolveParentCandidate(candidate)
+      if (availableRefactorIssue) {
+        break
+      }
+    }
+
+    if (availableRefactorIssue) {
+      logger.info(
+        `Found available refactor issue #${availableRefactorIssue.number}: ${availableRefactorIssue.title}`
+      )
+      return handleAssignment(availableRefactorIssue, 'refactor issue', agent)
+    }
+
+    // Check if we should create a new refactor issue
+    if (!createRefactorIssue) {
+      logger.info(
+        'No available refactor issues found, but create-refactor-issue is disabled. Skipping refactor issue creation.'
+      )
+      return
+    }
+
+    logger.info('No available refactor issues found - creating a new one')
+    return createRefactorIssueFunc(agent, bypassCooldown)
+  }
+
+  /**
+   * Create a refactor issue
+   * @param {{login: string, id: string}} agent - Agent to assign
+   * @param {boolean} bypassCooldown - Whether to bypass the cooldown check because the
+   *                                    refactor threshold was reached (not enough refactor
+   *                                    issues in the last N closed issues)
+   */
+  async function createRefactorIssueFunc (agent, bypassCooldown = false) {
+    if (!bypassCooldown) {
+      logger.info('Checking cooldown period for auto-created refactor issues...')
+
+      // Issues are ordered by last update and cannot be closed after their last
+      // update, so stop paging once a page reaches past the cooldown window
+      const cooldownStart = Date.now() - refactorCooldownDays * 24 * 60 * 60 * 1000
+      const recentClosed = await paginateIssues(
+        `
+          query($owner: String!, $repo: String!, $cursor: String) {
+            repository(owner: $owner, name: $repo) {
+              issues(first: 20, after: $cursor, states: CLOSED, orderBy: {field: UPDATED_AT, direction: DESC}) {
+                nodes {
+                  number
+                  title
+                  closedAt
+                  updatedAt
+                  labels(first: 10) {
+                    nodes { name }
+                  }
+                }
+                pageInfo { hasNextPage endCursor }
+              }
+            }
+          }
+        `,
+        repoVars,
+        {
+          stopWhen: (nodes) => nodes.some(
+            (issue) => new Date(issue.updatedAt).getTime() < cooldownStart
+          )
+        }
+      )
+      const { shouldWait, reason } = helpers.shouldWaitForCooldown(
+        recentClosed,
+        refactorCooldownDays
+      )
+
+      if (shouldWait) {
+        logger.info(`Skipping refactor issue creation: ${reason}`)
+        return
+      }
+
+      logger.info(`Proceeding with refactor issue creation: ${reason}`)
+    } else {
+      logger.info('Refactor threshold reached - bypassing cooldown check')
+    }
+
+    // Get refactor label ID
+    const labelInfo = await github.graphql(
+      `
+        query($owner: String!, $repo: String!) {
+          repository(owner: $owner, name: $repo) {
+            label(name: "refactor") {
+              id
+            }
+          }
+        }
+      `,
+      repoVars
+    )
+
+    if (!labelInfo?.repository?.label) {
+      throw new Error('Refactor label not found in repository.')
+    }
+    const refactorLabelId = labelInfo.repository.label.id
+
+    // Read the template content
+    const issueBody = helpers.readRefactorIssueTemplate(refactorIssueTemplate)
+
+    // Create issue title with [AUTO] marker to identify auto-created issues
+    const issueTitle = `refactor: codebase improvements [AUTO] - ${new Date().toISOString()}`
+
+    // Create and assign issue to the agent
+    if (dryRun) {
+      logger.info(
+        `[DRY RUN] Would create refactor issue with title: ${issueTitle}`
+      )
+      logger.info(`[DRY RUN] Would assign to ${agent.login}`)
+      await syncProjectStatus({ id: 'dry-run-id', number: 0 })
+      // Return a mock issue for dry-run mode
+      return {
+        issue: {
+          id: 'dry-run-id',
+          number: 0,
+          title: issueTitle,
+          url: '[DRY RUN - would create new refactor issue]'
+        },
+        effectiveMode,
+        agent: agent.login
+      }
+    }
+
+    const res = await github.graphql(
+      `
+        mutation($repositoryId: ID!, $title: String!, $body: String!, $assigneeIds: [ID!]) {
+          createIssue(
+            input: {
+              repositoryId: $repositoryId,
+              title: $title,
+              body: $body,
+              assigneeIds: $assigneeIds
+            }
+          ) {
+            issue {
+              id
+              number
+              url
+              title
+              assignees(first: 10) { nodes { login } }
+            }
+          }
+        }
+      `,
+      {
+        repositoryId: repoId,
+        title: issueTitle,
+        body: issueBody,
+        assigneeIds: [agent.id]
+      }
+    )
+
+    logger.info(`Created issue assigned to ${agent.login}: ${res.createIssue.issue.url}`)
+
+    // Add refactor label to the issue
+    try {
+      await github.graphql(
+        `
+          mutation($issueId: ID!, $labelIds: [ID!]!) {
+            addLabelsToLabelable(
+              input: {
+                labelableId: $issueId,
+                labelIds: $labelIds
+              }
+            ) {
+              labelable {
+                ... on Issue {
+                  labels(first: 10) {
+                    nodes {
+                      name
+                    }
+                  }
+                }
+              }
+            }
+          }
+        `,
+        {
+          issueId: res.createIssue.issue.id,
+          labelIds: [refactorLabelId]
+        }
+      )
+
+      logger.info('Added \'refactor\' label to issue')
+    } catch (error) {
+      logger.error(`Failed to add refactor label: ${error.message}`)
+      logger.error(
+        'Issue was created successfully but label could not be added.'
+      )
+      // Don't throw - issue was created successfully
+    }
+
+    await syncProjectStatus(res.createIssue.issue)
+
+    // Return the created issue
+    return {
+      issue: {
+        id: res.createIssue.issue.id,
+        number: res.createIssue.issue.number,
+        title: res.createIssue.issue.title,
+        url: res.createIssue.issue.url
+      },
+      effectiveMode,
+      agent: agent.login
+    }
+  }
+
+  /**
+   * Pick the agent for a refactor issue (honours routing of the refactor label)
+   * @param {Array<{agent: Object, slots: number, load: number}>} agentSlots - Free slots per agent
+   * @returns {Object|null} - Selected agent or null when the routed agent is busy
+   */
+  function selectRefactorAgent (agentSlots) {
+    const { agent, reason } = helpers.selectAgent(
+      { labels: [{ name: 'refactor' }] },
+      agentSlots,
+      { strategy: agentStrategy, routing: agentRouting, turn: context.runNumber || 0 }
+    )
+    if (!agent) {
+      logger.info(`Skipping refactor assignment: ${reason}`)
+    }
+    return agent
+  }
+
+  /**
+   * Fall back to refactor mode when no regular issue is available
+   * @param {Array<{agent: Object, slots: number, load: number}>} agentSlots - Free slots per agent
+   */
+  async function assignRefactorFallback (agentSlots) {
+    logger.info('No suitable issue found to assign.')
+
+    // Check if we should create a refactor issue
+    if (!createRefactorIssue) {
+      logger.info(
+        'Skipping refactor issue creation (create-refactor-issue is disabled).'
+      )
+      return
+    }
+
+    const agent = selectRefactorAgent(agentSlots)
+    if (!agent) {
+      return
+    }
+
+    logger.info(
+      `Creating or assigning a refactor issue instead to ensure ${agent.login} has work.`
+    )
+
+    return handleRefactorMode(agent, false)
+  }
+
+  /**
+   * Assign issues until the available slots are filled or no issue is left
+   * Each issue goes to the agent chosen by label routing or the agent strategy.
+   * When nothing is assignable for the first slot, the refactor fallback is
+   * used; further slots only take regular issues, in the same priority order.
+   * @param {Array<{agent: Object, slots: number, load: number}>} agentSlots - Free slots per agent
+   * @returns {Promise<Object|undefined>} - First result, with all assigned issues in `issues`
+   *   and the agent that received each one in `assignments`
+   */
+  async function fillAvailableSlots (agentSlots) {
+    const remaining = agentSlots.map((entry) => ({ ...entry }))
+    const totalSlots = remaining.reduce((sum, entry) => sum + entry.slots, 0)
+    const assignments = []
+    let firstResult
+    let turn = context.runNumber || 0
+
+    while (assignments.length < totalSlots) {
+      if (assignments.length > 0) {
+        logger.info(`Filling slot ${assignments.length + 1} of ${totalSlots}...`)
+      }
+
+      const nextIssue = await findNextIssue(labelOverride)
+      if (!nextIssue) {
+        if (assignments.length === 0) {
+          return assignRefactorFallback(remaining)
+        }
+        logger.info('No more assignable issues to fill the remaining slots.')
+        break
+      }
+      eligibility.excludedIssueNumbers.add(nextIssue.number)
+
+      const { agent, reason } = helpers.selectAgent(nextIssue, remaining, {
+        strategy: agentStrategy,
+        routing: agentRouting,
+        turn
+      })
+      if (!agent) {
+        logger.info(`Skipping issue #${nextIssue.number}: ${reason}`)
+        continue
+      }
+      logger.info(`Selected ${agent.login} for issue #${nextIssue.number}: ${reason}`)
+
+      const result = await handleAssignment(nextIssue, 'issue', agent)
+      firstResult = firstResult || result
+      assignments.push({ issue: nextIssue, agent: agent.login })
+
+      const entry = remaining.find((candidate) => candidate.agent === agent)
+      entry.slots -= 1
+      entry.load += 1
+      turn = remaining.indexOf(entry) + 1
+    }
+
+    return {
+      ...firstResult,
+      issues: assignments.map((assignment) => assignment.issue),
+      assignments
+    }
+  }
+
+  /**
+   * Find the next assignable issue, drilling down into selected parent issues
+   * @param {string|null} labelOverride - Optional label restricting the search
+   * @returns {Promise<Object|null>} - Parsed issue or null when none is available
+   */
+  async function findNextIssue (labelOverride) {
+    if (epicFocus && !labelOverride) {
+      const focusIssue = await findEpicFocusIssue()
+      if (focusIssue) {
+        return focusIssue
+      }
+    }
+
+    for (;;) {
+      const candidate = await findNextCandidate(labelOverride)
+      if (!candidate) {
+        return null
+      }
+
+      const issue = await resolveParentCandidate(candidate)
+      if (issue) {
+        return issue
+      }
+    }
+  }
+
+  /**
+   * Find the next sub-issue of the epic in focus
+   * The focus is the open parent of the most recently closed issue assigned to
+   * one of the agents; it is resolved once per run.
+   * @returns {Promise<Object|null>} - Parsed sibling issue or null when there is none
+   */
+  async function findEpicFocusIssue () {
+    if (focusParentNumber === undefined) {
+      focusParentNumber = await resolveFocusParent()
+    }
+    if (!focusParentNumber) {
+      return null
+    }
+
+    const issue = await findAssignableSubIssue(focusParentNumber)
+    if (issue) {
+      logger.info(`Epic focus: found #${issue.number} in parent #${focusParentNumber}`)
+    } else {
+      logger.info(`Epic focus: no eligible open sub-issue left in parent #${focusParentNumber}`)
+    }
+    return issue
+  }
+
+  /**
+   * Look up the open parent of the most recently closed agent issue
+   * @returns {Promise<number|null>} - Parent issue number or null
+   */
+  async function resolveFocusParent () {
+    const closed = await github.graphql(
+      `
+        query($owner: String!, $repo: String!) {
+          repository(owner: $owner, name: $repo) {
+            issues(first: 20, states: CLOSED, orderBy: {field: UPDATED_AT, direction: DESC}) {
+              nodes {
+                number
+                closedAt
+                assignees(first: 10) {
+                  nodes { id }
+                }
+              }
+            }
+          }
+        }
+      `,
+      repoVars
+    )
+    const lastClosed = helpers.findMostRecentlyClosed(
+      closed?.repository?.issues?.nodes,
+      agents.map((agent) => agent.id)
+    )
+    if (!lastClosed) {
+      logger.info('Epic focus: no recently closed agent issue found')
+      return null
+    }
+
+    const parent = await getParentIssue(lastClosed.number)
+    if (parent?.state !== 'open') {
+      logger.info(`Epic focus: #${lastClosed.number} has no open parent issue`)
+      return null
+    }
+    logger.info(`Epic focus: #${lastClosed.number} belongs to parent #${parent.number}`)
+    return parent.number
+  }
+
+  /**
+   * Replace a selected parent issue by its first eligible open sub-issue
+   * Only applies when drill-down is enabled. A parent without an eligible
+   * sub-issue is assigned itself when parent issues are allowed, and excluded
+   * from the rest of the run otherwise.
+   * @param {Object} issue - Parsed candidate issue
+   * @returns {Promise<Object|null>} - Issue to assign, or null when the parent is skipped
+   */
+  async function resolveParentCandidate (issue) {
+    if (!drillDownParentIssues || !issue.hasSubIssues) {
+      return issue
+    }
+
+    logger.info(`Issue #${issue.number} has sub-issues - looking for an eligible open sub-issue...`)
+    const leaf = await findAssignableSubIssue(issue.number)
+    if (leaf) {
+      logger.info(`Drilling down from #${issue.number} to sub-issue #${leaf.number}`)
+      return leaf
+    }
+
+    if (allowParentIssues || (allowCompletedParentIssues && issue.openSubIssueCount === 0)) {
+      logger.info(`No eligible open sub-issue under #${issue.number} - assigning the parent issue`)
+      return issue
+    }
+
+    logger.info(`No eligible open sub-issue under #${issue.number} - skipping it`)
+    eligibility.excludedIssueNumbers.add(issue.number)
+    return null
+  }
+
+  /**
+   * Find the first eligible leaf below a parent issue, in sub-issue order
+   * Nested parents are searched depth-first so epics are worked bottom-up.
+   * @param {number} parentNumber - Parent issue number
+   * @param {number} [depth=1] - Current nesting depth
+   * @returns {Promise<Object|null>} - Parsed sub-issue or null when none is eligible
+   */
+  async function findAssignableSubIssue (parentNumber, depth = 1) {
+    // Enriched in place; the order from prepareCandidates is ignored to keep sub-issue order
+    const subIssues = await cached(candidateSearches, `sub-issues:${parentNumber}`, async () => {
+      const openSubIssues = await getOpenSubIssues(parentNumber)
+      await prepareCandidates(openSubIssues)
+      return openSubIssues
+    })
+    if (subIssues.length === 0) {
+      return null
+    }
+
+    // Sub-issues are the target here, so the sub-issue policy does not apply
+    const subIssueEligibility = { ...eligibility, subIssuePolicy: 'include' }
+
+    for (const subIssue of subIssues) {
+      const parsed = helpers.parseIssueData(subIssue)
+
+      if (parsed.hasSubIssues && depth < MAX_SUB_ISSUE_DEPTH) {
+        const { shouldSkip } = helpers.shouldSkipIssue(parsed, true, skipLabels, subIssueEligibility)
+        const leaf = shouldSkip ? null : await findAssignableSubIssue(parsed.number, depth + 1)
+        if (leaf) {
+          return leaf
+        }
+      }
+
+      // Leaves, and nested parents that may be assigned themselves (completed parents)
+      const assignable = helpers.findAssignableIssue(
+        [subIssue],
+        false,
+        skipLabels,
+        requiredLabel,
+        subIssueEligibility
+      )
+      if (assignable) {
+        return assignable
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * Get the open sub-issues of an issue, in sub-issue order
+   * Sub-issues are listed via the REST sub_issues endpoint and then loaded
+   * through GraphQL so they have the same fields as other candidates.
+   * @param {number} issueNumber - Parent issue number
+   * @returns {Promise<Array>} - Raw issue objects (GraphQL shape)
+   */
+  async function getOpenSubIssues (issueNumber) {
+    let ids
+    try {
+      const response = await github.request(
+        'GET /repos/{owner}/{repo}/issues/{issue_number}/sub_issues',
+        {
+          owner: context.repo.owner,
+          repo: context.repo.repo,
+          issue_number: issueNumber,
+          per_page: 100,
+          headers: {
+            'X-GitHub-Api-Version': '2022-11-28'
+          }
+        }
+      )
+      ids = (response.data || [])
+        .filter((subIssue) => subIssue.state === 'open' && subIssue.node_id)
+        .map((subIssue) => subIssue.node_id)
+    } catch (error) {
+      logger.warning(`Could not list sub-issues of #${issueNumber}: ${error.message}`)
+      return []
+    }
+
+    if (ids.length === 0) {
+      return []
+    }
+
+    const result = await github.graphql(
+      `
+        query($ids: [ID!]!) {
+          nodes(ids: $ids) {
+            ... on Issue {
+              ${ISSUE_FIELDS}
+            }
+          }
+        }
+      `,
+      { ids }
+    )
+    return (result?.nodes || []).filter((node) => node?.number)
+  }
+
+  /**
+   * Find the next assignable issue based on milestone and label priority
+   * @param {string|null} labelOverride - Optional label restricting the search
+   * @returns {Promise<Object|null>} - Parsed issue or null when none is available
+   */
+  async function findNextCandidate (labelOverride) {
+    // Define label priority (override wins over the configured order)
+    const priorityLabels = labelOverride
+      ? [labelOverride]
+      : labelPriority.map((entry) => entry.name)
+
+    if (!labelOverride) {
+      logger.info(
+        `Label priority: ${labelPriority.map((entry) => `${entry.name} (${entry.weight})`).join(', ')}`
+      )
+    }
+
+    let issueToAssign = null
+
+    const preferredMilestone = await cached(candidateSearches, 'milestone', resolvePreferredMilestone)
+    if (preferredMilestone) {
+      issueToAssign = await findIssueInMilestone(preferredMilestone, priorityLabels)
+      if (!issueToAssign) {
+        logger.info(
+          `No assignable issue in milestone "${preferredMilestone.title}" - falling back to label priority`
+        )
+      }
+    }
 
-      const recentClosed = recentClosedResponse.repository.issues.nodes
-      const { shouldWait, reason } = helpers.shouldWaitForCooldown(
-        recentClosed,
-        refactorCooldownDays
+    if (!issueToAssign && !labelOverride && ranking !== 'score' && typePriority.length > 0) {
+      issueToAssign = await findFirstIssueByType()
+    }
+
+    if (!issueToAssign) {
+      issueToAssign = ranking === 'score'
+        ? await findHighestScoringIssue(priorityLabels)
+        : await findFirstIssueByPriority(priorityLabels)
+    }
+
+    if (issueToAssign) {
+      logger.info(
+        `Found issue to assign: ${context.repo.owner}/${context.repo.repo}#${issueToAssign.number}`
       )
+    }
 
-      if (shouldWait) {
-        logger.info(`Skipping refactor issue creation: ${reason}`)
-        return
+    // If no issue with priority labels, try other open issues
+    if (!issueToAssign && !labelOverride) {
+      const nonPriorityCandidates = await cached(candidateSearches, 'unlabeled', () => fetchIssuesWithoutPriorityLabel(priorityLabels))
+
+      issueToAssign = ranking === 'score'
+        ? pickHighestScoringIssue(nonPriorityCandidates)
+        : helpers.findAssignableIssue(
+          nonPriorityCandidates,
+          candidateParentIssues,
+          skipLabels,
+          requiredLabel,
+          eligibility
+        )
+      if (issueToAssign) {
+        logger.info(
+          `Found issue to assign: ${context.repo.owner}/${context.repo.repo}#${issueToAssign.number}`
+        )
       }
-
-      logger.info(`Proceeding with refactor issue creation: ${reason}`)
-    } else {
-      logger.info('Refactor threshold reached - bypassing cooldown check')
     }
 
-    // Get refactor label ID
-    const labelInfo = await github.graphql(
+    return issueToAssign
+  }
+
+  /**
+   * Fetch open issues carrying none of the priority labels, enriched for selection
+   * @param {Array<string>} priorityLabels - Labels already searched
+   * @returns {Promise<Array>} - Raw issue objects in selection order
+   */
+  async function fetchIssuesWithoutPriorityLabel (priorityLabels) {
+    logger.info('Searching for any open unassigned issue...')
+
+    const openIssues = await paginateIssues(
       `
-        query($owner: String!, $repo: String!) {
+        query($owner: String!, $repo: String!, $cursor: String) {
           repository(owner: $owner, name: $repo) {
-            label(name: "refactor") {
-              id
+            issues(first: 100, after: $cursor, states: OPEN, orderBy: {field: CREATED_AT, direction: ASC}) {
+              nodes {
+                ${ISSUE_FIELDS}
+              }
+              pageInfo { hasNextPage endCursor }
             }
           }
         }
@@ -420,236 +2082,289 @@ module.exports = async ({
       repoVars
     )
 
-    if (!labelInfo?.repository?.label) {
-      throw new Error('Refactor label not found in repository.')
-    }
-    const refactorLabelId = labelInfo.repository.label.id
+    // Filter out priority-labeled issues (already checked)
+    const nonPriorityIssues = openIssues.filter(
+      (issue) => {
+        const labels = helpers.normalizeIssueLabels(issue)
+        const hasPriorityLabel = labels.some((l) =>
+          priorityLabels.includes(l.name)
+        )
+        return !hasPriorityLabel
+      }
+    )
 
-    // Read the template content
-    const issueBody = helpers.readRefactorIssueTemplate(refactorIssueTemplate)
+    // Apply the same REST API sub-issue detection
+    return prepareCandidates(nonPriorityIssues)
+  }
 
-    // Create issue title with [AUTO] marker to identify auto-created issues
-    const issueTitle = `refactor: codebase improvements [AUTO] - ${new Date().toISOString()}`
+  /**
+   * Fetch open issues with a label, enriched with sub-issue counts (cached for the run)
+   * @param {string} label - Label to search for
+   * @returns {Promise<Array>} - Raw issue objects in creation order
+   */
+  function fetchIssuesWithLabel (label) {
+    return cached(candidateSearches, `label:${label}`, () => searchIssuesWithLabel(label))
+  }
 
-    // Create and assign issue to Copilot
-    if (dryRun) {
-      logger.info(
-        `[DRY RUN] Would create refactor issue with title: ${issueTitle}`
-      )
-      logger.info('[DRY RUN] Would assign to Copilot bot')
-      // Return a mock issue for dry-run mode
-      return {
-        issue: {
-          id: 'dry-run-id',
-          number: 0,
-          title: issueTitle,
-          url: '[DRY RUN - would create new refactor issue]'
-        },
-        effectiveMode
-      }
-    }
+  /**
+   * Search open issues with a label and enrich them for selection
+   * @param {string} label - Label to search for
+   * @returns {Promise<Array>} - Raw issue objects in creation order
+   */
+  async function searchIssuesWithLabel (label) {
+    logger.info(`Searching for issues with label: ${label}`)
 
-    const res = await github.graphql(
+    const labelIssues = await paginateIssues(
       `
-        mutation($repositoryId: ID!, $title: String!, $body: String!, $assigneeIds: [ID!]) {
-          createIssue(
-            input: {
-              repositoryId: $repositoryId,
-              title: $title,
-              body: $body,
-              assigneeIds: $assigneeIds
-            }
-          ) {
-            issue {
-              id
-              number
-              url
-              title
-              assignees(first: 10) { nodes { login } }
+        query($owner: String!, $repo: String!, $label: String!, $cursor: String) {
+          repository(owner: $owner, name: $repo) {
+            issues(first: 100, after: $cursor, states: OPEN, labels: [$label], orderBy: {field: CREATED_AT, direction: ASC}) {
+              nodes {
+                ${ISSUE_FIELDS}
+              }
+              pageInfo { hasNextPage endCursor }
             }
           }
         }
       `,
       {
-        repositoryId: repoId,
-        title: issueTitle,
-        body: issueBody,
-        assigneeIds: [copilotBotId]
+        ...repoVars,
+        label
       }
     )
+    logger.info(`  Found ${labelIssues.length} issues with label "${label}"`)
 
-    logger.info(`Created Copilot-assigned issue: ${res.createIssue.issue.url}`)
+    return prepareCandidates(labelIssues)
+  }
 
-    // Add refactor label to the issue
-    try {
-      await github.graphql(
-        `
-          mutation($issueId: ID!, $labelIds: [ID!]!) {
-            addLabelsToLabelable(
-              input: {
-                labelableId: $issueId,
-                labelIds: $labelIds
-              }
-            ) {
-              labelable {
-                ... on Issue {
-                  labels(first: 10) {
-                    nodes {
-                      name
-                    }
-                  }
-                }
-              }
-            }
-          }
-        `,
-        {
-          issueId: res.createIssue.issue.id,
-          labelIds: [refactorLabelId]
-        }
+  /**
+   * Find the first assignable issue, searching issue types in priority order
+   * Candidates come from the open issues fetched at the start of the run.
+   * @returns {Promise<Object|null>} - First assignable parsed issue or null
+   */
+  async function findFirstIssueByType () {
+    logger.info(
+      `Type priority: ${typePriority.map((entry) => `${entry.name} (${entry.weight})`).join(', ')}`
+    )
+
+    for (const { name } of typePriority) {
+      const issue = helpers.findAssignableIssue(
+        await getIssuesOfType(name),
+        candidateParentIssues,
+        skipLabels,
+        requiredLabel,
+        eligibility
       )
+      if (issue) {
+        return issue
+      }
+    }
+    return null
+  }
 
-      logger.info('Added \'refactor\' label to issue')
-    } catch (error) {
-      logger.error(`Failed to add refactor label: ${error.message}`)
-      logger.error(
-        'Issue was created successfully but label could not be added.'
+  /**
+   * Get the open issues of a type, enriched for selection (cached for the run)
+   * @param {string} name - Issue type name
+   * @returns {Promise<Array>} - Raw issue objects in creation order
+   */
+  function getIssuesOfType (name) {
+    return cached(candidateSearches, `type:${name}`, () => {
+      const typeIssues = helpers.filterByIssueType(allIssues, name)
+      logger.info(`  Found ${typeIssues.length} issues of type "${name}"`)
+      return prepareCandidates(typeIssues)
+    })
+  }
+
+  /**
+   * Find the first assignable issue, searching labels in priority order
+   * @param {Array<string>} priorityLabels - Labels to search, highest priority first
+   * @returns {Promise<Object|null>} - First assignable parsed issue or null
+   */
+  async function findFirstIssueByPriority (priorityLabels) {
+    for (const label of priorityLabels) {
+      const issues = await fetchIssuesWithLabel(label)
+
+      // Find first assignable issue using simplified helper function
+      const issue = helpers.findAssignableIssue(
+        issues,
+        candidateParentIssues,
+        skipLabels,
+        requiredLabel,
+        eligibility
       )
-      // Don't throw - issue was created successfully
+      if (issue) {
+        return issue
+      }
     }
+    return null
+  }
 
-    // Return the created issue
-    return {
-      issue: {
-        id: res.createIssue.issue.id,
-        number: res.createIssue.issue.number,
-        title: res.createIssue.issue.title,
-        url: res.createIssue.issue.url
-      },
-      effectiveMode
+  /**
+   * Score every eligible issue across all priority labels (and priority issue
+   * types) and pick the best one
+   * @param {Array<string>} priorityLabels - Labels to collect candidates from
+   * @returns {Promise<Object|null>} - Highest scoring parsed issue or null
+   */
+  async function findHighestScoringIssue (priorityLabels) {
+    const candidates = new Map()
+    const addCandidates = (issues) => {
+      issues.forEach((issue) => {
+        if (!candidates.has(issue.id)) {
+          candidates.set(issue.id, issue)
+        }
+      })
+    }
+
+    for (const label of priorityLabels) {
+      addCandidates(await fetchIssuesWithLabel(label))
+    }
+
+    if (!labelOverride) {
+      for (const { name } of typePriority) {
+        addCandidates(await getIssuesOfType(name))
+      }
     }
+
+    return pickHighestScoringIssue([...candidates.values()])
   }
 
   /**
-   * Assign Copilot to the next available issue based on priority
+   * Score eligible issues, log the breakdown and return the best one
+   * @param {Array} issues - Raw issue objects (already enriched)
+   * @returns {Object|null} - Highest scoring parsed issue or null
    */
-  async function assignNextIssue (labelOverride) {
-    // Define label priority
-    const labelPriority = labelOverride
-      ? [labelOverride]
-      : ['bug', 'documentation', 'refactor', 'enhancement']
+  function pickHighestScoringIssue (issues) {
+    const labelWeights = labelOverride
+      ? { [labelOverride]: 1 }
+      : Object.fromEntries(labelPriority.map((entry) => [entry.name, entry.weight]))
+
+    const typeWeights = labelOverride
+      ? {}
+      : Object.fromEntries(typePriority.map((entry) => [entry.name, entry.weight]))
+
+    const ranked = helpers.rankAssignableIssues(
+      issues,
+      candidateParentIssues,
+      skipLabels,
+      requiredLabel,
+      { labelWeights, typeWeights, weights: scoreWeights, projectPriority },
+      eligibility
+    )
 
-    let issueToAssign = null
+    logger.info(`Scored ${ranked.length} eligible candidate(s):`)
+    ranked.forEach(({ issue, score }) => {
+      const breakdown = Object.entries(score.breakdown)
+        .map(([component, value]) => `${component}=${value}`)
+        .join(', ')
+      logger.info(`  #${issue.number} score=${score.total} (${breakdown})`)
+    })
 
-    // Try to find an issue by priority
-    for (const label of labelPriority) {
-      logger.info(`Searching for issues with label: ${label}`)
+    return ranked[0]?.issue || null
+  }
 
-      const issues = await github.graphql(
-        `
-          query($owner: String!, $repo: String!, $label: String!) {
-            repository(owner: $owner, name: $repo) {
-              issues(first: 50, states: OPEN, labels: [$label], orderBy: {field: CREATED_AT, direction: ASC}) {
-                nodes {
-                  ${ISSUE_FIELDS}
-                }
-              }
+  /**
+   * Resolve the preferred milestone from the `milestone` input
+   * @returns {Promise<Object|null>} - Milestone { number, title, dueOn } or null
+   */
+  async function resolvePreferredMilestone () {
+    if (!milestone) {
+      return null
+    }
+
+    const response = await github.graphql(
+      `
+        query($owner: String!, $repo: String!) {
+          repository(owner: $owner, name: $repo) {
+            milestones(first: 100, states: OPEN, orderBy: {field: DUE_DATE, direction: ASC}) {
+              nodes { number title dueOn }
             }
           }
-        `,
-        {
-          ...repoVars,
-          label
         }
-      )
+      `,
+      repoVars
+    )
 
-      logger.info(
-        `  Found ${issues.repository.issues.nodes.length} issues with label "${label}"`
-      )
+    const selected = helpers.selectMilestone(
+      response.repository.milestones.nodes,
+      milestone
+    )
 
-      // WORKAROUND: GraphQL trackedIssues returns 0 even when sub-issues exist
-      // Solution: Use REST API sub_issues endpoint
-      await enrichWithSubIssues(issues.repository.issues.nodes)
+    if (!selected) {
+      logger.info(`No open milestone matches "${milestone}" - using label priority`)
+      return null
+    }
 
-      // Find first assignable issue using simplified helper function
-      issueToAssign = helpers.findAssignableIssue(
-        issues.repository.issues.nodes,
-        allowParentIssues,
-        skipLabels,
-        requiredLabel
-      )
-      if (issueToAssign) {
-        logger.info(
-          `Found issue to assign: ${context.repo.owner}/${context.repo.repo}#${issueToAssign.number}`
-        )
-        break
-      }
+    logger.info(
+      `Preferring milestone "${selected.title}"${selected.dueOn ? ` (due ${selected.dueOn})` : ''}`
+    )
+    return selected
+  }
+
+  /**
+   * Find an assignable issue within a milestone, ordered by label priority
+   * @param {Object} preferredMilestone - Milestone { number, title }
+   * @param {Array<string>} priorityLabels - Labels in priority order
+   * @returns {Promise<Object|null>} - Parsed issue or null
+   */
+  async function findIssueInMilestone (preferredMilestone, priorityLabels) {
+    const candidates = await cached(
+      candidateSearches,
+      `milestone:${preferredMilestone.number}`,
+      () => fetchIssuesInMilestone(preferredMilestone, priorityLabels)
+    )
+
+    if (ranking === 'score') {
+      return pickHighestScoringIssue(candidates)
     }
 
-    // If no issue with priority labels, try other open issues
-    if (!issueToAssign && !labelOverride) {
-      logger.info('Searching for any open unassigned issue...')
+    return helpers.findAssignableIssue(
+      candidates,
+      candidateParentIssues,
+      skipLabels,
+      requiredLabel,
+      eligibility
+    )
+  }
 
-      const allIssues = await github.graphql(
-        `
-          query($owner: String!, $repo: String!) {
-            repository(owner: $owner, name: $repo) {
-              issues(first: 100, states: OPEN, orderBy: {field: CREATED_AT, direction: ASC}) {
-                nodes {
-                  ${ISSUE_FIELDS}
-                }
+  /**
+   * Fetch the open issues of a milestone, enriched and ordered by label priority
+   * @param {Object} preferredMilestone - Milestone { number, title }
+   * @param {Array<string>} priorityLabels - Labels in priority order
+   * @returns {Promise<Array>} - Raw issue objects in selection order
+   */
+  async function fetchIssuesInMilestone (preferredMilestone, priorityLabels) {
+    let issues = await paginateIssues(
+      `
+        query($owner: String!, $repo: String!, $milestoneNumber: String!, $cursor: String) {
+          repository(owner: $owner, name: $repo) {
+            issues(first: 100, after: $cursor, states: OPEN, filterBy: {milestoneNumber: $milestoneNumber}, orderBy: {field: CREATED_AT, direction: ASC}) {
+              nodes {
+                ${ISSUE_FIELDS}
               }
+              pageInfo { hasNextPage endCursor }
             }
           }
-        `,
-        repoVars
-      )
-
-      // Filter out priority-labeled issues (already checked)
-      const nonPriorityIssues = allIssues.repository.issues.nodes.filter(
-        (issue) => {
-          const labels = helpers.normalizeIssueLabels(issue)
-          const hasPriorityLabel = labels.some((l) =>
-            labelPriority.includes(l.name)
-          )
-          return !hasPriorityLabel
         }
-      )
-
-      // Apply the same REST API sub-issue detection
-      await enrichWithSubIssues(nonPriorityIssues)
-
-      issueToAssign = helpers.findAssignableIssue(
-        nonPriorityIssues,
-        allowParentIssues,
-        skipLabels,
-        requiredLabel
-      )
-      if (issueToAssign) {
-        logger.info(
-          `Found issue to assign: ${context.repo.owner}/${context.repo.repo}#${issueToAssign.number}`
-        )
-      }
-    }
-
-    if (!issueToAssign) {
-      logger.info('No suitable issue found to assign to Copilot.')
-
-      // Check if we should create a refactor issue
-      if (!createRefactorIssue) {
-        logger.info(
-          'Skipping refactor issue creation (create-refactor-issue is disabled).'
-        )
-        return
+      `,
+      {
+        ...repoVars,
+        milestoneNumber: String(preferredMilestone.number)
       }
+    )
 
-      logger.info(
-        'Creating or assigning a refactor issue instead to ensure Copilot has work.'
+    // A label override restricts the milestone search to that label too
+    if (labelOverride) {
+      issues = issues.filter((issue) =>
+        helpers.normalizeIssueLabels(issue).some((l) => l.name === labelOverride)
       )
-
-      return handleRefactorMode(false)
     }
 
-    return handleAssignment(issueToAssign, 'issue')
+    logger.info(
+      `  Found ${issues.length} open issues in milestone "${preferredMilestone.title}"`
+    )
+
+    return prepareCandidates(
+      helpers.sortByLabelPriority(issues, priorityLabels)
+    )
   }
 }
@@ -33,7 +33,7 @@ const createMockGithub = (overrides = {}) => {
           }
         }
       }
-      if (query.includes('issues(first: 100, states: OPEN)')) {
+      if (query.includes('issues(first: 100, after: $cursor, states: OPEN)')) {
         return {
           repository: {
             issues: {
@@ -42,7 +42,7 @@ const createMockGithub = (overrides = {}) => {
           }
         }
       }
-      if (query.includes('issues(first: 20, states: CLOSED')) {
+      if (query.includes('issues(first: 20, after: $cursor, states: CLOSED')) {
         // Mock response for recent closed issues (for cooldown check)
         return {
           repository: {
@@ -104,6 +104,90 @@ const createMockContext = () => ({
   eventName: 'workflow_dispatch'
 })
 
+// Open, unassigned issue as returned by the candidate queries
+const makeIssue = (number, overrides = {}) => ({
+  id: `issue-id-${number}`,
+  number,
+  title: `Issue ${number}`,
+  body: '',
+  url: `https://github.com/test/repo/issues/${number}`,
+  assignees: { nodes: [] },
+  labels: { nodes: [{ name: 'bug' }] },
+  trackedIssues: { totalCount: 0 },
+  ...overrides
+})
+
+// Open, unassigned issue carrying exactly the given labels
+const labeledIssue = (number, labelNames) => makeIssue(number, {
+  labels: { nodes: labelNames.map((name) => ({ name })) }
+})
+
+// Mock GitHub API client answering the issue queries of a run from fixtures
+// openIssues: all open issues (capacity, body blockers, issue types)
+// labelIssues: open issues per priority label, e.g. { bug: [...] }
+// refactorIssues: open refactor issues (default mock has none)
+// graphql/request: handlers for feature-specific calls, tried first
+const createIssueQueryGithub = ({ openIssues = [], labelIssues = {}, refactorIssues = [], graphql, request } = {}) => createMockGithub({
+  graphql: async (query, variables) => {
+    const result = await graphql?.(query, variables)
+    if (result && Object.keys(result).length > 0) {
+      return result
+    }
+    if (query.includes('issues(first: 100, after: $cursor, states: OPEN)')) {
+      return { repository: { issues: { nodes: openIssues } } }
+    }
+    if (query.includes('issues(first: 100, after: $cursor, states: OPEN, orderBy:')) {
+      return { repository: { issues: { nodes: [] } } }
+    }
+    if (query.includes('states: OPEN, labels: ["refactor"]')) {
+      return { repository: { issues: { nodes: refactorIssues } } }
+    }
+    if (query.includes('states: OPEN, labels: [$label]')) {
+      return { repository: { issues: { nodes: labelIssues[variables.label] || [] } } }
+    }
+    if (query.includes('addAssigneesToAssignable')) {
+      return { addAssigneesToAssignable: { assignable: { assignees: { nodes: [] } } } }
+    }
+    return {}
+  },
+  request
+})
+
+// Candidate carrying the default required label
+const approvedIssue = (number) => labeledIssue(number, ['bug', 'copilot-approved'])
+
+// Repository roles returned by the collaborator permission endpoint
+const repositoryRoles = {
+  maintainer: { permission: 'write', role_name: 'maintain' },
+  triager: { permission: 'read', role_name: 'triage' },
+  author: { permission: 'read', role_name: 'read' }
+}
+
+// REST handler for collaborator permission lookups; other logins are not collaborators
+const respondWithRoles = async (endpoint, params) => {
+  if (endpoint.includes('/permission')) {
+    if (!repositoryRoles[params.username]) {
+      throw new Error('Not Found')
+    }
+    return { data: repositoryRoles[params.username] }
+  }
+  return { data: [] }
+}
+
+// Parameters shared by the feature tests; each test adds what it exercises
+const baseParams = {
+  context: createMockContext(),
+  mode: 'auto',
+  labelOverride: null,
+  force: false,
+  dryRun: true,
+  allowParentIssues: false,
+  skipLabels: [],
+  refactorThreshold: 4,
+  createRefactorIssue: false,
+  refactorIssueTemplate: ''
+}
+
 describe('Workflow executeWorkflow', () => {
   describe('dry-run mode', () => {
     test('should return issue data in dry-run mode for auto assignment', async () => {
@@ -193,7 +277,7 @@ describe('Workflow executeWorkflow', () => {
               }
             }
           }
-          if (query.includes('issues(first: 100, states: OPEN)')) {
+          if (query.includes('issues(first: 100, after: $cursor, states: OPEN)')) {
             return {
               repository: {
                 issues: {
@@ -271,7 +355,7 @@ describe('Workflow executeWorkflow', () => {
               }
             }
           }
-          if (query.includes('issues(first: 100, states: OPEN)')) {
+          if (query.includes('issues(first: 100, after: $cursor, states: OPEN)')) {
             return {
               repository: {
                 issues: {
@@ -383,7 +467,7 @@ describe('Workflow executeWorkflow', () => {
               }
             }
           }
-          if (query.includes('issues(first: 100, states: OPEN)')) {
+          if (query.includes('issues(first: 100, after: $cursor, states: OPEN)')) {
             return {
               repository: {
                 issues: {
@@ -468,7 +552,7 @@ describe('Workflow executeWorkflow', () => {
               }
             }
           }
-          if (query.includes('issues(first: 100, states: OPEN)')) {
+          if (query.includes('issues(first: 100, after: $cursor, states: OPEN)')) {
             return {
               repository: {
                 issues: {
@@ -569,7 +653,7 @@ describe('Workflow executeWorkflow', () => {
               }
             }
           }
-          if (query.includes('issues(first: 100, states: OPEN)')) {
+          if (query.includes('issues(first: 100, after: $cursor, states: OPEN)')) {
             return {
               repository: {
                 issues: {
@@ -637,7 +721,7 @@ describe('Workflow executeWorkflow', () => {
               }
             }
           }
-          if (query.includes('issues(first: 100, states: OPEN)')) {
+          if (query.includes('issues(first: 100, after: $cursor, states: OPEN)')) {
             return {
               repository: {
                 issues: {
@@ -646,7 +730,7 @@ describe('Workflow executeWorkflow', () => {
               }
             }
           }
-          if (query.includes('issues(first: 100, states: OPEN, orderBy:')) {
+          if (query.includes('issues(first: 100, after: $cursor, states: OPEN, orderBy:')) {
             return {
               repository: {
                 issues: {
@@ -723,7 +807,7 @@ describe('Workflow executeWorkflow', () => {
               }
             }
           }
-          if (query.includes('issues(first: 100, states: OPEN)')) {
+          if (query.includes('issues(first: 100, after: $cursor, states: OPEN)')) {
             return {
               repository: {
                 issues: {
@@ -1046,7 +1130,7 @@ describe('Workflow executeWorkflow', () => {
               }
             }
           }
-          if (query.includes('issues(first: 100, states: OPEN)')) {
+          if (query.includes('issues(first: 100, after: $cursor, states: OPEN)')) {
             return {
               repository: {
                 issues: {
@@ -1143,7 +1227,7 @@ describe('Workflow executeWorkflow', () => {
               }
             }
           }
-          if (query.includes('issues(first: 100, states: OPEN)')) {
+          if (query.includes('issues(first: 100, after: $cursor, states: OPEN)')) {
             return {
               repository: {
                 issues: {
@@ -1170,7 +1254,7 @@ describe('Workflow executeWorkflow', () => {
               }
             }
           }
-          if (query.includes('issues(first: 100, states: OPEN, orderBy:')) {
+          if (query.includes('issues(first: 100, after: $cursor, states: OPEN, orderBy:')) {
             return {
               repository: {
                 issues: {
@@ -1330,7 +1414,7 @@ describe('Workflow executeWorkflow', () => {
               }
             }
           }
-          if (query.includes('issues(first: 100, states: OPEN)')) {
+          if (query.includes('issues(first: 100, after: $cursor, states: OPEN)')) {
             return {
               repository: {
                 issues: {
@@ -1410,7 +1494,7 @@ describe('Workflow executeWorkflow', () => {
               }
             }
           }
-          if (query.includes('issues(first: 100, states: OPEN)')) {
+          if (query.includes('issues(first: 100, after: $cursor, states: OPEN)')) {
             return {
               repository: {
                 issues: {
@@ -1526,7 +1610,7 @@ describe('Workflow executeWorkflow', () => {
               }
             }
           }
-          if (query.includes('issues(first: 100, states: OPEN)')) {
+          if (query.includes('issues(first: 100, after: $cursor, states: OPEN)')) {
             return {
               repository: {
                 issues: {
@@ -1598,4 +1682,1716 @@ describe('Workflow executeWorkflow', () => {
       expect(result.issue.title).toBe('Refactor With Required Label')
     })
   })
+
+  describe('label priority', () => {
+    test('should search labels in the configured priority order', async () => {
+      const searchedLabels = []
+      const mockGithub = createMockGithub({
+        graphql: async (query, variables) => {
+          if (query.includes('states: OPEN, labels: [$label]')) {
+            searchedLabels.push(variables.label)
+            return {
+              repository: {
+                issues: {
+                  nodes: variables.label === 'docs'
+                    ? [
+                        {
+                          id: 'issue-id-7',
+                          number: 7,
+                          title: 'Docs Issue',
+                          body: '',
+                          url: 'https://github.com/test/repo/issues/7',
+                          assignees: { nodes: [] },
+                          labels: { nodes: [{ name: 'docs' }] },
+                          trackedIssues: { totalCount: 0 }
+                        }
+                      ]
+                    : []
+                }
+              }
+            }
+          }
+          return {}
+        }
+      })
+
+      const result = await executeWorkflow({
+        github: mockGithub,
+        context: createMockContext(),
+        mode: 'auto',
+        labelOverride: null,
+        labelPriority: [
+          { name: 'security', weight: 10 },
+          { name: 'docs', weight: 3 },
+          { name: 'bug', weight: 1 }
+        ],
+        force: false,
+        dryRun: true,
+        allowParentIssues: false,
+        skipLabels: [],
+        refactorThreshold: 4,
+        createRefactorIssue: false,
+        refactorIssueTemplate: ''
+      })
+
+      expect(searchedLabels).toEqual(['security', 'docs'])
+      expect(result.issue.number).toBe(7)
+    })
+
+    test('should only search the override label when labelOverride is set', async () => {
+      const searchedLabels = []
+      const mockGithub = createMockGithub({
+        graphql: async (query, variables) => {
+          if (query.includes('states: OPEN, labels: [$label]')) {
+            searchedLabels.push(variables.label)
+            return { repository: { issues: { nodes: [] } } }
+          }
+          return {}
+        }
+      })
+
+      const result = await executeWorkflow({
+        github: mockGithub,
+        context: createMockContext(),
+        mode: 'auto',
+        labelOverride: 'bug',
+        labelPriority: [{ name: 'security', weight: 10 }],
+        force: false,
+        dryRun: true,
+        allowParentIssues: false,
+        skipLabels: [],
+        refactorThreshold: 4,
+        createRefactorIssue: false,
+        refactorIssueTemplate: ''
+      })
+
+      expect(searchedLabels).toEqual(['bug'])
+      expect(result).toBeUndefined()
+    })
+  })
+
+  describe('score ranking', () => {
+    test('should assign the highest scoring issue across all priority labels', async () => {
+      const scoredIssue = (number, label, reactions) => makeIssue(number, {
+        createdAt: new Date().toISOString(),
+        reactions: { totalCount: reactions },
+        comments: { totalCount: 0 },
+        labels: { nodes: [{ name: label }] }
+      })
+      const mockGithub = createMockGithub({
+        graphql: async (query, variables) => {
+          if (query.includes('states: OPEN, labels: [$label]')) {
+            const nodes = variables.label === 'bug'
+              ? [scoredIssue(1, 'bug', 0)]
+              : [scoredIssue(2, 'documentation', 20)]
+            return { repository: { issues: { nodes } } }
+          }
+          return {}
+        }
+      })
+
+      const result = await executeWorkflow({
+        github: mockGithub,
+        context: createMockContext(),
+        mode: 'auto',
+        labelOverride: null,
+        labelPriority: [
+          { name: 'bug', weight: 2 },
+          { name: 'documentation', weight: 1 }
+        ],
+        force: false,
+        dryRun: true,
+        allowParentIssues: false,
+        skipLabels: [],
+        refactorThreshold: 4,
+        createRefactorIssue: false,
+        refactorIssueTemplate: '',
+        ranking: 'score'
+      })
+
+      // bug: 2 * 10 = 20, documentation: 1 * 10 + 20 * 2 = 50
+      expect(result.issue.number).toBe(2)
+    })
+  })
+
+  describe('pagination', () => {
+    test('should detect Copilot assignments beyond the first page of open issues', async () => {
+      const mockGithub = createMockGithub({
+        graphql: async (query, variables) => {
+          if (query.includes('issues(first: 100, after: $cursor, states: OPEN)')) {
+            if (!variables.cursor) {
+              return {
+                repository: {
+                  issues: {
+                    nodes: [makeIssue(1)],
+                    pageInfo: { hasNextPage: true, endCursor: 'page-2' }
+                  }
+                }
+              }
+            }
+            return {
+              repository: {
+                issues: {
+                  nodes: [makeIssue(2, {
+                    assignees: { nodes: [{ login: 'copilot-swe-agent', id: 'copilot-bot-id-123' }] }
+                  })],
+                  pageInfo: { hasNextPage: false, endCursor: null }
+                }
+              }
+            }
+          }
+          return {}
+        }
+      })
+
+      const result = await executeWorkflow({ ...baseParams, github: mockGithub })
+
+      expect(result).toBeUndefined()
+    })
+
+    test('should find eligible label issues on later pages', async () => {
+      const mockGithub = createMockGithub({
+        graphql: async (query, variables) => {
+          if (query.includes('states: OPEN, labels: [$label]') && variables.label === 'bug') {
+            if (!variables.cursor) {
+              return {
+                repository: {
+                  issues: {
+                    nodes: [makeIssue(1, { assignees: { nodes: [{ login: 'someone', id: 'user-1' }] } })],
+                    pageInfo: { hasNextPage: true, endCursor: 'page-2' }
+                  }
+                }
+              }
+            }
+            return {
+              repository: {
+                issues: {
+                  nodes: [makeIssue(2)],
+                  pageInfo: { hasNextPage: false, endCursor: null }
+                }
+              }
+            }
+          }
+          return {}
+        }
+      })
+
+      const result = await executeWorkflow({ ...baseParams, github: mockGithub, labelOverride: 'bug' })
+
+      expect(result.issue.number).toBe(2)
+    })
+
+    test('should stop paginating at maxPages', async () => {
+      let labelPages = 0
+      const mockGithub = createMockGithub({
+        graphql: async (query) => {
+          if (query.includes('states: OPEN, labels: [$label]')) {
+            labelPages++
+            return {
+              repository: {
+                issues: {
+                  nodes: [],
+                  pageInfo: { hasNextPage: true, endCursor: `page-${labelPages + 1}` }
+                }
+              }
+            }
+          }
+          return {}
+        }
+      })
+
+      await executeWorkflow({ ...baseParams, github: mockGithub, labelOverride: 'bug', maxPages: 3 })
+
+      expect(labelPages).toBe(3)
+    })
+  })
+
+  describe('milestone preference', () => {
+    const milestoneIssue = {
+      id: 'issue-id-77',
+      number: 77,
+      title: 'Milestone Issue',
+      body: '',
+      url: 'https://github.com/test/repo/issues/77',
+      assignees: { nodes: [] },
+      labels: { nodes: [{ name: 'enhancement' }] },
+      milestone: { number: 5, title: 'v1', dueOn: '2026-02-01T00:00:00Z' },
+      trackedIssues: { totalCount: 0 }
+    }
+
+    const createMilestoneGithub = (milestoneNodes, milestoneIssues) => createMockGithub({
+      graphql: async (query) => {
+        if (query.includes('milestones(first: 100')) {
+          return { repository: { milestones: { nodes: milestoneNodes } } }
+        }
+        if (query.includes('filterBy: {milestoneNumber: $milestoneNumber}')) {
+          return { repository: { issues: { nodes: milestoneIssues } } }
+        }
+        return {}
+      }
+    })
+
+    test('should prefer issues in the nearest milestone over label priority', async () => {
+      const mockGithub = createMilestoneGithub(
+        [
+          { number: 6, title: 'v2', dueOn: '2026-05-01T00:00:00Z' },
+          { number: 5, title: 'v1', dueOn: '2026-02-01T00:00:00Z' }
+        ],
+        [milestoneIssue]
+      )
+
+      const result = await executeWorkflow({
+        ...baseParams,
+        github: mockGithub,
+        milestone: 'nearest'
+      })
+
+      expect(result.issue.number).toBe(77)
+      expect(result.issue.milestone.title).toBe('v1')
+      const milestoneQuery = mockGithub.graphql.mock.calls.find(
+        (call) => call[0].includes('filterBy: {milestoneNumber: $milestoneNumber}')
+      )
+      expect(milestoneQuery[1].milestoneNumber).toBe('5')
+    })
+
+    test('should fall back to label priority when the milestone has no assignable issue', async () => {
+      const mockGithub = createMilestoneGithub(
+        [{ number: 5, title: 'v1', dueOn: null }],
+        []
+      )
+
+      const result = await executeWorkflow({
+        ...baseParams,
+        github: mockGithub,
+        milestone: 'v1'
+      })
+
+      expect(result.issue.number).toBe(42)
+    })
+
+    test('should fall back to label priority when no milestone matches', async () => {
+      const mockGithub = createMilestoneGithub([], [milestoneIssue])
+
+      const result = await executeWorkflow({
+        ...baseParams,
+        github: mockGithub,
+        milestone: 'nearest'
+      })
+
+      expect(result.issue.number).toBe(42)
+    })
+  })
+
+  describe('project prioritization', () => {
+    const projectIssue = (number, priority, status) => makeIssue(number, {
+      projectItems: {
+        nodes: [
+          {
+            project: { number: 5, owner: { login: 'test-owner' } },
+            fieldValues: {
+              nodes: [
+                { name: priority, field: { name: 'Priority' } },
+                { name: status, field: { name: 'Status' } }
+              ]
+            }
+          }
+        ]
+      }
+    })
+
+    test('should filter by project status and order by project priority', async () => {
+      const mockGithub = createIssueQueryGithub({
+        labelIssues: {
+          bug: [
+            projectIssue(1, 'P2', 'Ready'),
+            projectIssue(2, 'P0', 'Todo'),
+            projectIssue(3, 'P1', 'Ready')
+          ]
+        }
+      })
+
+      const result = await executeWorkflow({
+        ...baseParams,
+        github: mockGithub,
+        labelOverride: 'bug',
+        project: { owner: 'test-owner', number: 5 },
+        projectPriorityOrder: ['P0', 'P1', 'P2'],
+        projectReadyStatus: 'Ready'
+      })
+
+      expect(result.issue.number).toBe(3)
+      const labelQuery = mockGithub.graphql.mock.calls.find(
+        (call) => call[0].includes('states: OPEN, labels: [$label]')
+      )
+      expect(labelQuery[0]).toContain('projectItems')
+    })
+
+    test('should not query project items when no project is configured', async () => {
+      const mockGithub = createMockGithub()
+
+      await executeWorkflow({ ...baseParams, github: mockGithub })
+
+      const projectQueries = mockGithub.graphql.mock.calls.filter(
+        (call) => call[0].includes('projectItems')
+      )
+      expect(projectQueries).toHaveLength(0)
+    })
+  })
+
+  describe('project status sync', () => {
+    const createProjectGithub = (options) => createMockGithub({
+      graphql: async (query) => {
+        if (query.includes('repositoryOwner(login: $login)')) {
+          return {
+            repositoryOwner: {
+              projectV2: {
+                id: 'project-id',
+                field: { id: 'status-field-id', options }
+              }
+            }
+          }
+        }
+        if (query.includes('addProjectV2ItemById')) {
+          return { addProjectV2ItemById: { item: { id: 'item-id' } } }
+        }
+        if (query.includes('updateProjectV2ItemFieldValue')) {
+          return { updateProjectV2ItemFieldValue: { projectV2Item: { id: 'item-id' } } }
+        }
+        return {}
+      }
+    })
+
+    const projectParams = {
+      ...baseParams,
+      project: { owner: 'test-owner', number: 5 },
+      projectStatusOnAssign: 'In Progress'
+    }
+
+    test('should move the assigned issue to the configured status', async () => {
+      const mockGithub = createProjectGithub([
+        { id: 'opt-ready', name: 'Ready' },
+        { id: 'opt-progress', name: 'In Progress' }
+      ])
+
+      const result = await executeWorkflow({ ...projectParams, github: mockGithub, dryRun: false })
+
+      expect(result.issue.number).toBe(42)
+      const addCall = mockGithub.graphql.mock.calls.find((call) => call[0].includes('addProjectV2ItemById'))
+      expect(addCall[1]).toEqual({ projectId: 'project-id', contentId: 'issue-id-1' })
+      const updateCall = mockGithub.graphql.mock.calls.find((call) => call[0].includes('updateProjectV2ItemFieldValue'))
+      expect(updateCall[1]).toEqual({
+        projectId: 'project-id',
+        itemId: 'item-id',
+        fieldId: 'status-field-id',
+        optionId: 'opt-progress'
+      })
+    })
+
+    test('should not change the project in dry-run mode', async () => {
+      const mockGithub = createProjectGithub([{ id: 'opt-progress', name: 'In Progress' }])
+
+      await executeWorkflow({ ...projectParams, github: mockGithub, dryRun: true })
+
+      const projectCalls = mockGithub.graphql.mock.calls.filter(
+        (call) => call[0].includes('addProjectV2ItemById') ||
+          call[0].includes('updateProjectV2ItemFieldValue')
+      )
+      expect(projectCalls).toHaveLength(0)
+    })
+
+    test('should not fail the run when the status option does not exist', async () => {
+      const mockGithub = createProjectGithub([{ id: 'opt-ready', name: 'Ready' }])
+
+      const result = await executeWorkflow({ ...projectParams, github: mockGithub, dryRun: false })
+
+      expect(result.issue.number).toBe(42)
+      const updateCalls = mockGithub.graphql.mock.calls.filter(
+        (call) => call[0].includes('updateProjectV2ItemFieldValue')
+      )
+      expect(updateCalls).toHaveLength(0)
+    })
+  })
+
+  describe('concurrent capacity', () => {
+    test('should fill the remaining slots in priority order', async () => {
+      const copilotIssue = makeIssue(1, {
+        assignees: { nodes: [{ login: 'copilot-swe-agent', id: 'copilot-bot-id-123' }] }
+      })
+      const mockGithub = createIssueQueryGithub({
+        openIssues: [copilotIssue],
+        labelIssues: { bug: [makeIssue(10), makeIssue(11), makeIssue(12)] }
+      })
+
+      const result = await executeWorkflow({
+        ...baseParams,
+        github: mockGithub,
+        dryRun: false,
+        maxConcurrent: 3
+      })
+
+      expect(result.issue.number).toBe(10)
+      expect(result.issues.map((issue) => issue.number)).toEqual([10, 11])
+      const mutations = mockGithub.graphql.mock.calls.filter(
+        (call) => call[0].includes('addAssigneesToAssignable')
+      )
+      expect(mutations.map((call) => call[1].issueId)).toEqual(['issue-id-10', 'issue-id-11'])
+    })
+
+    test('should stop when no more issues are available', async () => {
+      const mockGithub = createIssueQueryGithub({ labelIssues: { bug: [makeIssue(10)] } })
+
+      const result = await executeWorkflow({
+        ...baseParams,
+        github: mockGithub,
+        dryRun: true,
+        maxConcurrent: 5
+      })
+
+      expect(result.issues.map((issue) => issue.number)).toEqual([10])
+    })
+
+    test('should search and enrich candidates once for all slots', async () => {
+      const mockGithub = createIssueQueryGithub({ labelIssues: { bug: [makeIssue(10), makeIssue(11), makeIssue(12)] } })
+
+      const result = await executeWorkflow({
+        ...baseParams,
+        github: mockGithub,
+        dryRun: true,
+        maxConcurrent: 3
+      })
+
+      const countRequests = (path) => mockGithub.request.mock.calls.filter(([endpoint]) => endpoint.endsWith(path)).length
+      expect(result.issues.map((issue) => issue.number)).toEqual([10, 11, 12])
+      expect(mockGithub.graphql.mock.calls.filter(([, variables]) => variables?.label === 'bug')).toHaveLength(1)
+      expect(countRequests('/sub_issues')).toBe(3)
+      expect(countRequests('/dependencies/blocked_by')).toBe(3)
+    })
+
+    test('should skip assignment when Copilot is at capacity', async () => {
+      const assigned = [1, 2].map((number) => makeIssue(number, {
+        assignees: { nodes: [{ login: 'copilot-swe-agent', id: 'copilot-bot-id-123' }] }
+      }))
+      const mockGithub = createIssueQueryGithub({ openIssues: assigned, labelIssues: { bug: [makeIssue(10)] } })
+
+      const result = await executeWorkflow({
+        ...baseParams,
+        github: mockGithub,
+        dryRun: true,
+        maxConcurrent: 2
+      })
+
+      expect(result).toBeUndefined()
+    })
+  })
+
+  describe('agent logins', () => {
+    const actors = [
+      { login: 'copilot-swe-agent', __typename: 'Bot', id: 'copilot-bot-id-123' },
+      { login: 'docs-bot', __typename: 'Bot', id: 'docs-bot-id' },
+      { login: 'octo-dev', __typename: 'User', id: 'octo-dev-id' }
+    ]
+
+    const createAgentGithub = (openIssues, bugIssues) => createIssueQueryGithub({
+      openIssues,
+      labelIssues: { bug: bugIssues },
+      graphql: async (query) => query.includes('suggestedActors')
+        ? { repository: { id: 'repo-id-123', suggestedActors: { nodes: actors } } }
+        : {}
+    })
+
+    test('should assign a configured user account', async () => {
+      const mockGithub = createAgentGithub([], [makeIssue(10)])
+
+      const result = await executeWorkflow({
+        ...baseParams,
+        github: mockGithub,
+        dryRun: false,
+        agentLogins: ['octo-dev']
+      })
+
+      expect(result.agent).toBe('octo-dev')
+      const mutation = mockGithub.graphql.mock.calls.find(
+        (call) => call[0].includes('addAssigneesToAssignable')
+      )
+      expect(mutation[1].assigneeIds).toEqual(['octo-dev-id'])
+    })
+
+    test('should track capacity per agent and skip busy agents', async () => {
+      const busyIssue = makeIssue(1, {
+        assignees: { nodes: [{ login: 'copilot-swe-agent', id: 'copilot-bot-id-123' }] }
+      })
+      const mockGithub = createAgentGithub([busyIssue], [makeIssue(10), makeIssue(11)])
+
+      const result = await executeWorkflow({
+        ...baseParams,
+        github: mockGithub,
+        dryRun: false,
+        agentLogins: ['copilot-swe-agent', 'docs-bot']
+      })
+
+      expect(result.issue.number).toBe(10)
+      expect(result.assignments).toEqual([
+        { issue: expect.objectContaining({ number: 10 }), agent: 'docs-bot' }
+      ])
+    })
+
+    test('should fill agents in configured order', async () => {
+      const mockGithub = createAgentGithub([], [makeIssue(10), makeIssue(11), makeIssue(12)])
+
+      const result = await executeWorkflow({
+        ...baseParams,
+        github: mockGithub,
+        dryRun: true,
+        agentLogins: ['docs-bot', 'copilot-swe-agent']
+      })
+
+      expect(result.assignments.map((a) => [a.issue.number, a.agent])).toEqual([
+        [10, 'docs-bot'],
+        [11, 'copilot-swe-agent']
+      ])
+    })
+
+    test('should skip unknown logins and fail when none is found', async () => {
+      const logger = require('./logger.js')
+      const mockGithub = createAgentGithub([], [makeIssue(10)])
+
+      const result = await executeWorkflow({
+        ...baseParams,
+        github: mockGithub,
+        dryRun: true,
+        agentLogins: ['ghost-bot', 'copilot-swe-agent[bot]']
+      })
+      expect(result.agent).toBe('copilot-swe-agent')
+      expect(logger.warning).toHaveBeenCalledWith(expect.stringContaining('"ghost-bot" not found'))
+
+      await expect(executeWorkflow({
+        ...baseParams,
+        github: createAgentGithub([], []),
+        dryRun: true,
+        agentLogins: ['ghost-bot']
+      })).rejects.toThrow('None of the configured agents (ghost-bot) were found in suggestedActors')
+    })
+
+    test('should route labeled issues and balance the rest by load', async () => {
+      const busyIssue = makeIssue(1, {
+        assignees: { nodes: [{ login: 'copilot-swe-agent', id: 'copilot-bot-id-123' }] }
+      })
+      const docsIssue = makeIssue(11, { labels: { nodes: [{ name: 'bug' }, { name: 'documentation' }] } })
+      const mockGithub = createAgentGithub([busyIssue], [makeIssue(10), docsIssue, makeIssue(12)])
+
+      const result = await executeWorkflow({
+        ...baseParams,
+        github: mockGithub,
+        dryRun: true,
+        maxConcurrent: 2,
+        agentLogins: ['copilot-swe-agent', 'docs-bot', 'octo-dev'],
+        agentStrategy: 'least-loaded',
+        agentRouting: [{ label: 'documentation', agent: 'docs-bot' }]
+      })
+
+      expect(result.assignments.map((a) => [a.issue.number, a.agent])).toEqual([
+        [10, 'docs-bot'],
+        [11, 'docs-bot'],
+        [12, 'octo-dev']
+      ])
+    })
+
+    test('should skip routed issues whose agent is busy', async () => {
+      const docsBusy = [2, 3].map((number) => makeIssue(number, {
+        assignees: { nodes: [{ login: 'docs-bot', id: 'docs-bot-id' }] }
+      }))
+      const docsIssue = makeIssue(10, { labels: { nodes: [{ name: 'bug' }, { name: 'documentation' }] } })
+      const mockGithub = createAgentGithub(docsBusy, [docsIssue, makeIssue(11)])
+
+      const result = await executeWorkflow({
+        ...baseParams,
+        github: mockGithub,
+        dryRun: true,
+        maxConcurrent: 2,
+        agentLogins: ['copilot-swe-agent', 'docs-bot'],
+        agentRouting: [{ label: 'documentation', agent: 'docs-bot' }]
+      })
+
+      expect(result.assignments.map((a) => [a.issue.number, a.agent])).toEqual([
+        [11, 'copilot-swe-agent']
+      ])
+    })
+
+    test('should rotate agents in round-robin order from the run number', async () => {
+      const mockGithub = createAgentGithub([], [makeIssue(10), makeIssue(11)])
+
+      const result = await executeWorkflow({
+        ...baseParams,
+        context: { ...createMockContext(), runNumber: 7 },
+        github: mockGithub,
+        dryRun: true,
+        agentLogins: ['copilot-swe-agent', 'docs-bot', 'octo-dev'],
+        agentStrategy: 'round-robin'
+      })
+
+      expect(result.assignments.map((a) => [a.issue.number, a.agent])).toEqual([
+        [10, 'docs-bot'],
+        [11, 'octo-dev']
+      ])
+    })
+  })
+
+  describe('issue dependencies', () => {
+    const createDependencyGithub = (openIssues, bugIssues, blockedBy = {}) => createIssueQueryGithub({
+      openIssues,
+      labelIssues: { bug: bugIssues },
+      request: async (endpoint, params) => endpoint.includes('dependencies/blocked_by')
+        ? { data: blockedBy[params.issue_number] || [] }
+        : { data: [] }
+    })
+
+    test('should skip issues with open dependency blockers', async () => {
+      const logger = require('./logger.js')
+      const mockGithub = createDependencyGithub([], [makeIssue(10), makeIssue(11)], {
+        10: [
+          { number: 3, state: 'open', repository_url: 'https://api.github.com/repos/test-owner/test-repo' },
+          { number: 4, state: 'closed', repository_url: 'https://api.github.com/repos/test-owner/test-repo' }
+        ]
+      })
+
+      const result = await executeWorkflow({ ...baseParams, github: mockGithub })
+
+      expect(result.issue.number).toBe(11)
+      expect(logger.info).toHaveBeenCalledWith('Issue #10 is blocked by open issue #3')
+    })
+
+    test('should honour body references only while the blocker is open', async () => {
+      const blocker = makeIssue(5, { labels: { nodes: [] } })
+      const blocked = makeIssue(10, { body: 'Depends on #5' })
+      const unblocked = makeIssue(11, { body: 'Blocked by #6' })
+      const mockGithub = createDependencyGithub([blocker, blocked, unblocked], [blocked, unblocked])
+
+      const result = await executeWorkflow({ ...baseParams, github: mockGithub })
+
+      expect(result.issue.number).toBe(11)
+    })
+
+    test('should warn and skip issues whose dependencies cannot be read', async () => {
+      const logger = require('./logger.js')
+      const mockGithub = createDependencyGithub([], [makeIssue(10), makeIssue(11)])
+      mockGithub.request.mockImplementation(async (endpoint, params) => {
+        if (endpoint.includes('dependencies') && params.issue_number === 10) {
+          throw new Error('API rate limit exceeded')
+        }
+        return { data: [] }
+      })
+
+      const result = await executeWorkflow({ ...baseParams, github: mockGithub })
+
+      expect(result.issue.number).toBe(11)
+      expect(logger.warning).toHaveBeenCalledWith('Could not read the dependencies of issue #10: API rate limit exceeded')
+    })
+
+    test('should fall back to body references when the dependencies API is not available', async () => {
+      const logger = require('./logger.js')
+      const blocker = makeIssue(5, { labels: { nodes: [] } })
+      const blocked = makeIssue(10, { body: 'Depends on #5' })
+      const mockGithub = createDependencyGithub([blocker, blocked, makeIssue(11)], [blocked, makeIssue(11)])
+      mockGithub.request.mockImplementation(async (endpoint) => {
+        if (endpoint.includes('dependencies')) {
+          throw Object.assign(new Error('Not Found'), { status: 404 })
+        }
+        return { data: [] }
+      })
+
+      const result = await executeWorkflow({ ...baseParams, github: mockGithub })
+
+      expect(result.issue.number).toBe(11)
+      expect(logger.warning).not.toHaveBeenCalledWith(expect.stringContaining('Could not read the dependencies of issue #11'))
+    })
+  })
+
+  describe('epic drill-down', () => {
+    const createEpicGithub = (bugIssues, subIssues, issuesById, { closedIssues = [], parents = {} } = {}) => {
+      const mockGithub = createIssueQueryGithub({
+        labelIssues: { bug: bugIssues },
+        graphql: async (query, variables) => {
+          if (query.includes('issues(first: 20, states: CLOSED')) {
+            return { repository: { issues: { nodes: closedIssues } } }
+          }
+          if (query.includes('nodes(ids: $ids)')) {
+            return { nodes: variables.ids.map((id) => issuesById[id] || null) }
+          }
+          return {}
+        }
+      })
+      mockGithub.request.mockImplementation(async (endpoint, params) => {
+        if (endpoint.includes('sub_issues')) {
+          return { data: subIssues[params.issue_number] || [] }
+        }
+        if (endpoint.endsWith('/parent')) {
+          if (!parents[params.issue_number]) {
+            throw new Error('Not Found')
+          }
+          return { data: parents[params.issue_number] }
+        }
+        return { data: [] }
+      })
+      return mockGithub
+    }
+
+    const subIssue = (number, state = 'open') => ({ number, state, node_id: `issue-id-${number}` })
+
+    test('should assign the first eligible leaf, depth-first in sub-issue order', async () => {
+      const issuesById = {
+        'issue-id-12': makeIssue(12, { labels: { nodes: [] } }),
+        'issue-id-13': makeIssue(13, { labels: { nodes: [] } }),
+        'issue-id-14': makeIssue(14, {
+          labels: { nodes: [] },
+          assignees: { nodes: [{ login: 'someone', id: 'user-1' }] }
+        })
+      }
+      const mockGithub = createEpicGithub(
+        [makeIssue(10), makeIssue(20)],
+        {
+          10: [subIssue(11, 'closed'), subIssue(12), subIssue(13)],
+          12: [subIssue(14)]
+        },
+        issuesById
+      )
+
+      const result = await executeWorkflow({
+        ...baseParams,
+        github: mockGithub,
+        allowParentIssues: false,
+        drillDownParentIssues: true
+      })
+
+      expect(result.issue.number).toBe(13)
+    })
+
+    test('should skip a parent without eligible sub-issues', async () => {
+      const mockGithub = createEpicGithub(
+        [makeIssue(10), makeIssue(20)],
+        { 10: [subIssue(11, 'closed')] },
+        {}
+      )
+
+      const result = await executeWorkflow({
+        ...baseParams,
+        github: mockGithub,
+        allowParentIssues: false,
+        drillDownParentIssues: true
+      })
+
+      expect(result.issue.number).toBe(20)
+    })
+
+    test('should assign the parent itself when parent issues are allowed', async () => {
+      const mockGithub = createEpicGithub(
+        [makeIssue(10), makeIssue(20)],
+        { 10: [subIssue(11, 'closed')] },
+        {}
+      )
+
+      const result = await executeWorkflow({
+        ...baseParams,
+        github: mockGithub,
+        allowParentIssues: true,
+        drillDownParentIssues: true
+      })
+
+      expect(result.issue.number).toBe(10)
+    })
+
+    test('should prefer siblings of the last closed agent issue in epic focus', async () => {
+      const copilot = { nodes: [{ id: 'copilot-bot-id-123' }] }
+      const mockGithub = createEpicGithub(
+        [makeIssue(20)],
+        { 30: [subIssue(31, 'closed'), subIssue(32)] },
+        { 'issue-id-32': makeIssue(32, { labels: { nodes: [] } }) },
+        {
+          closedIssues: [
+            { number: 5, closedAt: '2024-01-01T00:00:00Z', assignees: copilot },
+            { number: 31, closedAt: '2024-02-01T00:00:00Z', assignees: copilot },
+            { number: 6, closedAt: '2024-03-01T00:00:00Z', assignees: { nodes: [{ id: 'user-1' }] } }
+          ],
+          parents: { 31: { number: 30, state: 'open' } }
+        }
+      )
+
+      const result = await executeWorkflow({
+        ...baseParams,
+        github: mockGithub,
+        allowParentIssues: false,
+        epicFocus: true
+      })
+
+      expect(result.issue.number).toBe(32)
+    })
+
+    test('should fall back to the normal search when the focused epic is done', async () => {
+      const copilot = { nodes: [{ id: 'copilot-bot-id-123' }] }
+      const mockGithub = createEpicGithub(
+        [makeIssue(20)],
+        { 30: [subIssue(31, 'closed')] },
+        {},
+        {
+          closedIssues: [{ number: 31, closedAt: '2024-02-01T00:00:00Z', assignees: copilot }],
+          parents: { 31: { number: 30, state: 'open' } }
+        }
+      )
+
+      const result = await executeWorkflow({
+        ...baseParams,
+        github: mockGithub,
+        allowParentIssues: false,
+        epicFocus: true
+      })
+
+      expect(result.issue.number).toBe(20)
+    })
+
+    test('should assign a parent whose sub-issues are all closed when allowed', async () => {
+      const mockGithub = createEpicGithub(
+        [makeIssue(10), makeIssue(20)],
+        { 10: [subIssue(11, 'closed'), subIssue(12, 'closed')], 20: [subIssue(21)] },
+        {}
+      )
+
+      const result = await executeWorkflow({
+        ...baseParams,
+        github: mockGithub,
+        allowParentIssues: false,
+        allowCompletedParentIssues: true
+      })
+
+      expect(result.issue.number).toBe(10)
+    })
+
+    test('should keep skipping completed parents by default', async () => {
+      const mockGithub = createEpicGithub(
+        [makeIssue(10), makeIssue(20)],
+        { 10: [subIssue(11, 'closed')] },
+        {}
+      )
+
+      const result = await executeWorkflow({
+        ...baseParams,
+        github: mockGithub,
+        allowParentIssues: false
+      })
+
+      expect(result.issue.number).toBe(20)
+    })
+
+    test('should inherit approval from an approved parent issue', async () => {
+      const mockGithub = createEpicGithub([makeIssue(10), makeIssue(11)], {}, {})
+      mockGithub.request.mockImplementation(async (endpoint, params) => {
+        if (endpoint.endsWith('/parent') && params.issue_number === 11) {
+          return { data: { number: 5, state: 'open', labels: [{ name: 'copilot-approved' }] } }
+        }
+        if (endpoint.endsWith('/parent')) {
+          throw new Error('Not Found')
+        }
+        return { data: [] }
+      })
+
+      const result = await executeWorkflow({
+        ...baseParams,
+        github: mockGithub,
+        allowParentIssues: false,
+        requiredLabel: 'copilot-approved',
+        inheritParentApproval: true
+      })
+
+      expect(result.issue.number).toBe(11)
+    })
+
+    test('should skip sub-issues when the policy excludes them', async () => {
+      const mockGithub = createEpicGithub([makeIssue(10), makeIssue(11)], {}, {}, {
+        parents: { 10: { number: 5, state: 'open', labels: [] } }
+      })
+
+      const result = await executeWorkflow({
+        ...baseParams,
+        github: mockGithub,
+        allowParentIssues: false,
+        subIssuePolicy: 'exclude'
+      })
+
+      expect(result.issue.number).toBe(11)
+    })
+  })
+
+  describe('issue type priority', () => {
+    const typedIssue = (number, type, overrides = {}) => makeIssue(number, {
+      createdAt: `2024-01-${String(number).padStart(2, '0')}T00:00:00Z`,
+      issueType: type ? { name: type } : null,
+      labels: { nodes: [] },
+      ...overrides
+    })
+
+    const createTypeGithub = (openIssues, bugLabelIssues = []) => createIssueQueryGithub({
+      openIssues,
+      labelIssues: { bug: bugLabelIssues }
+    })
+
+    test('should search issue types in priority order before labels', async () => {
+      const labeled = typedIssue(1, null, { labels: { nodes: [{ name: 'bug' }] } })
+      const mockGithub = createTypeGithub(
+        [labeled, typedIssue(2, 'Feature'), typedIssue(3, 'Task'), typedIssue(4, 'Bug')],
+        [labeled]
+      )
+
+      const result = await executeWorkflow({
+        ...baseParams,
+        github: mockGithub,
+        typePriority: [{ name: 'Bug', weight: 3 }, { name: 'Task', weight: 2 }]
+      })
+
+      expect(result.issue.number).toBe(4)
+      expect(result.issue.issueType).toBe('Bug')
+    })
+
+    test('should fall back to label priority when no typed issue is eligible', async () => {
+      const labeled = typedIssue(1, null, { labels: { nodes: [{ name: 'bug' }] } })
+      const assignedBug = typedIssue(4, 'Bug', { assignees: { nodes: [{ login: 'someone', id: 'user-1' }] } })
+      const mockGithub = createTypeGithub([labeled, assignedBug], [labeled])
+
+      const result = await executeWorkflow({
+        ...baseParams,
+        github: mockGithub,
+        typePriority: [{ name: 'Bug', weight: 1 }]
+      })
+
+      expect(result.issue.number).toBe(1)
+    })
+
+    test('should add the type weight to the score', async () => {
+      const labeled = typedIssue(1, null, { labels: { nodes: [{ name: 'bug' }] } })
+      const mockGithub = createTypeGithub([labeled, typedIssue(2, 'Bug')], [labeled])
+
+      const result = await executeWorkflow({
+        ...baseParams,
+        github: mockGithub,
+        ranking: 'score',
+        labelPriority: [{ name: 'bug', weight: 1 }],
+        typePriority: [{ name: 'Bug', weight: 5 }]
+      })
+
+      expect(result.issue.number).toBe(2)
+    })
+  })
+
+  describe('content patterns', () => {
+    test('should skip candidates matching the exclude pattern', async () => {
+      const mockGithub = createIssueQueryGithub({
+        labelIssues: {
+          bug: [
+            makeIssue(10, { title: 'Database migration' }),
+            makeIssue(11, { title: 'Fix typo', body: 'In the docs' })
+          ]
+        }
+      })
+
+      const result = await executeWorkflow({
+        ...baseParams,
+        github: mockGithub,
+        excludePattern: /migration|database/i,
+        includePattern: /typo/i
+      })
+
+      expect(result.issue.number).toBe(11)
+    })
+  })
+
+  describe('effort gating', () => {
+    test('should skip candidates whose estimate exceeds max-effort', async () => {
+      const logger = require('./logger.js')
+      const mockGithub = createIssueQueryGithub({
+        labelIssues: {
+          bug: [
+            labeledIssue(10, ['bug', 'size:XL']),
+            makeIssue(11, { body: 'Estimate: 5' }),
+            labeledIssue(12, ['bug', 'size:S'])
+          ]
+        }
+      })
+
+      const result = await executeWorkflow({ ...baseParams, github: mockGithub, maxEffort: 2 })
+
+      expect(result.issue.number).toBe(12)
+      expect(logger.info).toHaveBeenCalledWith('Issue #10 has estimate XL (label "size:XL"), which exceeds max-effort 2')
+      expect(logger.info).toHaveBeenCalledWith('Issue #11 has estimate 5 (body), which exceeds max-effort 2')
+    })
+  })
+
+  describe('linked work', () => {
+    test('should request linked pull requests and branches for candidates', async () => {
+      const mockGithub = createIssueQueryGithub({ labelIssues: { bug: [makeIssue(10)] } })
+
+      await executeWorkflow({ ...baseParams, github: mockGithub })
+
+      const labelQuery = mockGithub.graphql.mock.calls
+        .map(([query]) => query)
+        .find((query) => query.includes('states: OPEN, labels: [$label]'))
+      expect(labelQuery).toContain('closedByPullRequestsReferences(first: 10, includeClosedPrs: true)')
+      expect(labelQuery).toContain('linkedBranches(first: 5)')
+      expect(labelQuery).toContain('CROSS_REFERENCED_EVENT')
+    })
+
+    test('should skip issues with an open linked pull request or branch', async () => {
+      const logger = require('./logger.js')
+      const mockGithub = createIssueQueryGithub({
+        labelIssues: {
+          bug: [
+            makeIssue(10, {
+              timelineItems: { nodes: [{ willCloseTarget: true, source: { number: 55, state: 'OPEN' } }] }
+            }),
+            makeIssue(11, { linkedBranches: { nodes: [{ ref: { name: '11-fix-crash' } }] } }),
+            makeIssue(12, {
+              closedByPullRequestsReferences: { nodes: [{ number: 48, state: 'CLOSED' }] }
+            })
+          ]
+        }
+      })
+
+      const result = await executeWorkflow({ ...baseParams, github: mockGithub })
+
+      expect(result.issue.number).toBe(12)
+      expect(logger.info).toHaveBeenCalledWith('Issue #10 has open linked pull request #55')
+      expect(logger.info).toHaveBeenCalledWith('Issue #11 has linked branch 11-fix-crash')
+    })
+  })
+
+  describe('stalled assignments', () => {
+    const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString()
+
+    const createStalledGithub = (openIssues, bugIssues) => createIssueQueryGithub({
+      openIssues,
+      labelIssues: { bug: bugIssues },
+      graphql: async (query) => query.includes('removeAssigneesFromAssignable')
+        ? { removeAssigneesFromAssignable: { assignable: { number: 1 } } }
+        : {}
+    })
+
+    const assignedToCopilot = () => ({ nodes: [{ login: 'copilot-swe-agent', id: 'copilot-bot-id-123' }] })
+
+    test('should reclaim a stalled assignment and fill the freed slot', async () => {
+      const stalled = makeIssue(1, { assignees: assignedToCopilot(), updatedAt: daysAgo(5) })
+      const mockGithub = createStalledGithub([stalled], [makeIssue(1, { assignees: assignedToCopilot() }), makeIssue(10)])
+
+      const result = await executeWorkflow({
+        ...baseParams,
+        github: mockGithub,
+        dryRun: false,
+        staleAssignmentDays: 3
+      })
+
+      const unassign = mockGithub.graphql.mock.calls.find(([query]) => query.includes('removeAssigneesFromAssignable'))
+      expect(unassign[1]).toEqual({ issueId: 'issue-id-1', assigneeIds: ['copilot-bot-id-123'] })
+
+      const labelCall = mockGithub.request.mock.calls.find(([endpoint]) => endpoint.includes('/labels'))
+      expect(labelCall[1].issue_number).toBe(1)
+      expect(labelCall[1].labels).toEqual(['copilot-stalled'])
+
+      const commentCall = mockGithub.request.mock.calls.find(([endpoint]) => endpoint.includes('/comments'))
+      expect(commentCall[1].body).toContain('no linked pull request or activity for 3 days')
+
+      expect(result.issue.number).toBe(10)
+    })
+
+    test('should keep assignments with recent activity or a linked pull request', async () => {
+      const recent = makeIssue(1, { assignees: assignedToCopilot(), updatedAt: daysAgo(1) })
+      const withPr = makeIssue(2, {
+        assignees: assignedToCopilot(),
+        updatedAt: daysAgo(10),
+        closedByPullRequestsReferences: { nodes: [{ number: 40, state: 'OPEN' }] }
+      })
+      const mockGithub = createStalledGithub([recent, withPr], [makeIssue(10)])
+
+      const result = await executeWorkflow({
+        ...baseParams,
+        github: mockGithub,
+        dryRun: false,
+        maxConcurrent: 2,
+        staleAssignmentDays: 3
+      })
+
+      expect(result).toBeUndefined()
+      expect(mockGithub.graphql.mock.calls.some(([query]) => query.includes('removeAssigneesFromAssignable'))).toBe(false)
+    })
+
+    test('should only log the reclaim in dry run mode', async () => {
+      const logger = require('./logger.js')
+      const stalled = makeIssue(1, { assignees: assignedToCopilot(), updatedAt: daysAgo(5) })
+      const mockGithub = createStalledGithub([stalled], [makeIssue(10)])
+
+      const result = await executeWorkflow({
+        ...baseParams,
+        github: mockGithub,
+        dryRun: true,
+        staleAssignmentDays: 3
+      })
+
+      expect(logger.info).toHaveBeenCalledWith(
+        '[DRY RUN] Would reclaim issue #1 from copilot-swe-agent: no linked pull request or activity for 3 days'
+      )
+      expect(mockGithub.graphql.mock.calls.some(([query]) => query.includes('removeAssigneesFromAssignable'))).toBe(false)
+      expect(result.issue.number).toBe(10)
+    })
+
+    test('should skip issues carrying the stalled label', async () => {
+      const mockGithub = createStalledGithub([], [
+        makeIssue(10, { labels: { nodes: [{ name: 'bug' }, { name: 'copilot-stalled' }] } }),
+        makeIssue(11)
+      ])
+
+      const result = await executeWorkflow({
+        ...baseParams,
+        github: mockGithub,
+        dryRun: true,
+        staleAssignmentDays: 3
+      })
+
+      expect(result.issue.number).toBe(11)
+    })
+  })
+
+  describe('retry budget', () => {
+    const closedPrs = (...numbers) => ({
+      nodes: numbers.map((number) => ({ willCloseTarget: true, source: { number, state: 'CLOSED' } }))
+    })
+
+    test('should label and skip issues that reached max-attempts', async () => {
+      const mockGithub = createIssueQueryGithub({
+        labelIssues: {
+          bug: [
+            makeIssue(10, { timelineItems: closedPrs(20, 21) }),
+            makeIssue(11, { timelineItems: closedPrs(22) })
+          ]
+        }
+      })
+
+      const result = await executeWorkflow({
+        ...baseParams,
+        github: mockGithub,
+        dryRun: false,
+        maxAttempts: 2
+      })
+
+      expect(result.issue.number).toBe(11)
+      const labelCalls = mockGithub.request.mock.calls.filter(([endpoint]) => endpoint.includes('/labels'))
+      expect(labelCalls).toHaveLength(1)
+      expect(labelCalls[0][1].issue_number).toBe(10)
+      expect(labelCalls[0][1].labels).toEqual(['needs-human'])
+    })
+
+    test('should not label assigned or skip-labeled issues that reached max-attempts', async () => {
+      const mockGithub = createIssueQueryGithub({
+        labelIssues: {
+          bug: [
+            makeIssue(1, {
+              assignees: { nodes: [{ login: 'human', id: 'human-id' }] },
+              timelineItems: closedPrs(20, 21)
+            }),
+            makeIssue(2, {
+              labels: { nodes: [{ name: 'bug' }, { name: 'wontfix' }] },
+              timelineItems: closedPrs(22, 23)
+            }),
+            makeIssue(11)
+          ]
+        }
+      })
+
+      const result = await executeWorkflow({
+        ...baseParams,
+        github: mockGithub,
+        dryRun: false,
+        skipLabels: ['wontfix'],
+        maxAttempts: 2
+      })
+
+      expect(result.issue.number).toBe(11)
+      expect(mockGithub.request.mock.calls.some(([endpoint]) => endpoint.includes('/labels'))).toBe(false)
+    })
+
+    test('should skip issues already labeled for a human without relabeling', async () => {
+      const mockGithub = createIssueQueryGithub({
+        labelIssues: {
+          bug: [
+            makeIssue(10, { labels: { nodes: [{ name: 'bug' }, { name: 'needs-human' }] } }),
+            makeIssue(11)
+          ]
+        }
+      })
+
+      const result = await executeWorkflow({
+        ...baseParams,
+        github: mockGithub,
+        dryRun: false,
+        maxAttempts: 2
+      })
+
+      expect(result.issue.number).toBe(11)
+      expect(mockGithub.request.mock.calls.some(([endpoint]) => endpoint.includes('/labels'))).toBe(false)
+    })
+
+    test('should keep retrying when max-attempts is disabled', async () => {
+      const mockGithub = createIssueQueryGithub({ labelIssues: { bug: [makeIssue(10, { timelineItems: closedPrs(20, 21, 22) })] } })
+
+      const result = await executeWorkflow({ ...baseParams, github: mockGithub, dryRun: true })
+
+      expect(result.issue.number).toBe(10)
+    })
+  })
+
+  describe('pull request events', () => {
+    const closedIssue = (number, label) => ({
+      number,
+      title: `Closed ${number}`,
+      closedAt: new Date().toISOString(),
+      labels: { nodes: [{ name: label }] }
+    })
+
+    // The recently closed list has no refactor issue, so only the pull request can keep auto mode
+    const createPullRequestGithub = (closingIssues, { failClosingLookup = false } = {}) => createIssueQueryGithub({
+      labelIssues: { bug: [makeIssue(42)] },
+      refactorIssues: [makeIssue(77, { labels: { nodes: [{ name: 'refactor' }] } })],
+      graphql: async (query) => {
+        if (query.includes('closingIssuesReferences')) {
+          if (failClosingLookup) {
+            throw new Error('Forbidden')
+          }
+          return { repository: { pullRequest: { closingIssuesReferences: { nodes: closingIssues } } } }
+        }
+        if (query.includes('$fetchCount')) {
+          return {
+            repository: {
+              issues: { nodes: [1, 2, 3, 4].map((number) => closedIssue(number, 'bug')) }
+            }
+          }
+        }
+        return {}
+      }
+    })
+
+    const pullRequestContext = (action, merged) => ({
+      repo: { owner: 'test-owner', repo: 'test-repo' },
+      eventName: 'pull_request',
+      payload: { action, pull_request: { number: 9, merged } }
+    })
+
+    test('should count issues closed by a merged pull request as most recent', async () => {
+      const mockGithub = createPullRequestGithub([closedIssue(60, 'refactor')])
+
+      const result = await executeWorkflow({
+        ...baseParams,
+        github: mockGithub,
+        context: pullRequestContext('closed', true)
+      })
+
+      const lookup = mockGithub.graphql.mock.calls.find(([query]) => query.includes('closingIssuesReferences'))
+      expect(lookup[1]).toEqual({ owner: 'test-owner', repo: 'test-repo', number: 9 })
+      expect(result.effectiveMode).toBe('auto')
+      expect(result.issue.number).toBe(42)
+    })
+
+    test('should switch to refactor mode when the merged pull request closed no refactor issue', async () => {
+      const mockGithub = createPullRequestGithub([closedIssue(60, 'bug')])
+
+      const result = await executeWorkflow({
+        ...baseParams,
+        github: mockGithub,
+        context: pullRequestContext('closed', true)
+      })
+
+      expect(result.effectiveMode).toBe('refactor')
+      expect(result.issue.number).toBe(77)
+    })
+
+    test('should skip the threshold check for unmerged pull requests', async () => {
+      const mockGithub = createPullRequestGithub([closedIssue(60, 'refactor')])
+
+      const result = await executeWorkflow({
+        ...baseParams,
+        github: mockGithub,
+        context: pullRequestContext('closed', false)
+      })
+
+      expect(mockGithub.graphql.mock.calls.some(([query]) => query.includes('closingIssuesReferences'))).toBe(false)
+      expect(mockGithub.graphql.mock.calls.some(([query]) => query.includes('$fetchCount'))).toBe(false)
+      expect(result.effectiveMode).toBe('auto')
+      expect(result.issue.number).toBe(42)
+    })
+
+    test('should still wait for the grace period on unmerged pull requests', async () => {
+      const mockGithub = createPullRequestGithub([])
+
+      const startTime = Date.now()
+      await executeWorkflow({
+        ...baseParams,
+        github: mockGithub,
+        context: pullRequestContext('closed', false),
+        waitSeconds: 1
+      })
+
+      expect(Date.now() - startTime).toBeGreaterThanOrEqual(1000)
+    })
+
+    test('should ignore pull request events other than closed', async () => {
+      const mockGithub = createPullRequestGithub([])
+
+      const result = await executeWorkflow({
+        ...baseParams,
+        github: mockGithub,
+        context: pullRequestContext('opened', false)
+      })
+
+      expect(mockGithub.graphql.mock.calls.some(([query]) => query.includes('$fetchCount'))).toBe(false)
+      expect(result.effectiveMode).toBe('auto')
+    })
+
+    test('should fall back to recently closed issues when the lookup fails', async () => {
+      const logger = require('./logger.js')
+      const mockGithub = createPullRequestGithub([], { failClosingLookup: true })
+
+      const result = await executeWorkflow({
+        ...baseParams,
+        github: mockGithub,
+        context: pullRequestContext('closed', true)
+      })
+
+      expect(logger.warning).toHaveBeenCalledWith('Could not read issues closed by pull request #9: Forbidden')
+      expect(result.effectiveMode).toBe('refactor')
+    })
+
+    test('should wait for the grace period on closed pull requests', async () => {
+      const mockGithub = createPullRequestGithub([closedIssue(60, 'refactor')])
+
+      const startTime = Date.now()
+      await executeWorkflow({
+        ...baseParams,
+        github: mockGithub,
+        context: pullRequestContext('closed', true),
+        waitSeconds: 1
+      })
+
+      expect(Date.now() - startTime).toBeGreaterThanOrEqual(1000)
+    })
+  })
+
+  describe('required labels', () => {
+    const requiredParams = { ...baseParams, requiredLabel: 'copilot-approved' }
+
+    test('should require all labels by default', async () => {
+      const mockGithub = createIssueQueryGithub({
+        labelIssues: {
+          bug: [
+            labeledIssue(10, ['bug', 'copilot-approved']),
+            labeledIssue(11, ['bug', 'copilot-approved', 'spec-reviewed'])
+          ]
+        }
+      })
+
+      const result = await executeWorkflow({
+        ...requiredParams,
+        github: mockGithub,
+        requiredLabels: ['copilot-approved', 'spec-reviewed']
+      })
+
+      expect(result.issue.number).toBe(11)
+    })
+
+    test('should accept any label and replace required-label', async () => {
+      const mockGithub = createIssueQueryGithub({
+        labelIssues: { bug: [labeledIssue(10, ['bug']), labeledIssue(11, ['bug', 'spec-reviewed'])] }
+      })
+
+      const result = await executeWorkflow({
+        ...requiredParams,
+        github: mockGithub,
+        requiredLabels: ['ready-for-agent', 'spec-reviewed'],
+        requiredLabelMode: 'any'
+      })
+
+      expect(result.issue.number).toBe(11)
+    })
+
+    test('should apply required labels to refactor issues', async () => {
+      const mockGithub = createIssueQueryGithub({
+        refactorIssues: [
+          labeledIssue(77, ['refactor', 'copilot-approved']),
+          labeledIssue(78, ['refactor', 'copilot-approved', 'spec-reviewed'])
+        ]
+      })
+
+      const result = await executeWorkflow({
+        ...requiredParams,
+        github: mockGithub,
+        mode: 'refactor',
+        requiredLabels: ['copilot-approved', 'spec-reviewed']
+      })
+
+      expect(result.effectiveMode).toBe('refactor')
+      expect(result.issue.number).toBe(78)
+    })
+  })
+
+  describe('approval verification', () => {
+    const labeledBy = (login) => ({ label: { name: 'copilot-approved' }, actor: { login } })
+
+    const createApprovalGithub = (bugIssues, labelEvents) => createIssueQueryGithub({
+      labelIssues: { bug: bugIssues },
+      graphql: async (query, variables) => {
+        if (!query.includes('LABELED_EVENT')) {
+          return {}
+        }
+        if (!labelEvents[variables.number]) {
+          throw new Error('Timeline unavailable')
+        }
+        return { repository: { issue: { timelineItems: { nodes: labelEvents[variables.number] } } } }
+      },
+      request: respondWithRoles
+    })
+
+    const approvalParams = { ...baseParams, requiredLabel: 'copilot-approved' }
+
+    test('should only accept labels added by someone with the minimum role', async () => {
+      const logger = require('./logger.js')
+      const mockGithub = createApprovalGithub([approvedIssue(10), approvedIssue(11)], {
+        10: [labeledBy('triager')],
+        11: [labeledBy('maintainer')]
+      })
+
+      const result = await executeWorkflow({ ...approvalParams, github: mockGithub, approvalMinPermission: 'write' })
+
+      expect(result.issue.number).toBe(11)
+      expect(logger.info).toHaveBeenCalledWith(
+        'Issue #10: label "copilot-approved" was added by triager (triage), below write - not treated as approved'
+      )
+    })
+
+    test('should accept allowlisted labelers regardless of role', async () => {
+      const mockGithub = createApprovalGithub([approvedIssue(10)], { 10: [labeledBy('triage-bot')] })
+
+      const result = await executeWorkflow({
+        ...approvalParams,
+        github: mockGithub,
+        approvalMinPermission: 'admin',
+        approvalAllowlist: ['triage-bot[bot]']
+      })
+
+      expect(result.issue.number).toBe(10)
+      expect(mockGithub.request.mock.calls.some(([endpoint]) => endpoint.includes('/permission'))).toBe(false)
+    })
+
+    test('should fail closed when the label event or role cannot be read', async () => {
+      const mockGithub = createApprovalGithub([approvedIssue(10), approvedIssue(11), approvedIssue(12), approvedIssue(13)], {
+        10: [],
+        12: [labeledBy('former-member')],
+        13: [labeledBy('maintainer')]
+      })
+
+      const result = await executeWorkflow({ ...approvalParams, github: mockGithub, approvalMinPermission: 'write' })
+
+      expect(result.issue.number).toBe(13)
+    })
+
+    test('should not read label events by default', async () => {
+      const mockGithub = createApprovalGithub([approvedIssue(10)], {})
+
+      const result = await executeWorkflow({ ...approvalParams, github: mockGithub })
+
+      expect(result.issue.number).toBe(10)
+      expect(mockGithub.graphql.mock.calls.some(([query]) => query.includes('LABELED_EVENT'))).toBe(false)
+    })
+  })
+
+  describe('approval edits', () => {
+    const history = ({ bodyEditor, titleEditor, comments = [] } = {}) => ({
+      timelineItems: {
+        nodes: [
+          { __typename: 'LabeledEvent', createdAt: '2026-03-02T00:00:00Z', label: { name: 'copilot-approved' }, actor: { login: 'maintainer' } },
+          ...(titleEditor ? [{ __typename: 'RenamedTitleEvent', createdAt: '2026-03-03T00:00:00Z', actor: { login: titleEditor } }] : [])
+        ]
+      },
+      userContentEdits: {
+        nodes: bodyEditor ? [{ editedAt: '2026-03-03T00:00:00Z', editor: { login: bodyEditor } }] : []
+      },
+      comments: { nodes: comments }
+    })
+
+    const createEditGithub = (bugIssues, histories) => createIssueQueryGithub({
+      labelIssues: { bug: bugIssues },
+      graphql: async (query, variables) => query.includes('LABELED_EVENT')
+        ? { repository: { issue: histories[variables.number] } }
+        : {},
+      request: respondWithRoles
+    })
+
+    const editParams = { ...baseParams, requiredLabel: 'copilot-approved', revokeApprovalOnEdit: true }
+
+    test('should revoke approval after an edit by a non-maintainer', async () => {
+      const logger = require('./logger.js')
+      const mockGithub = createEditGithub([approvedIssue(10), approvedIssue(11), approvedIssue(12)], {
+        10: history({ bodyEditor: 'author' }),
+        11: history({ titleEditor: 'author' }),
+        12: history()
+      })
+
+      const result = await executeWorkflow({ ...editParams, github: mockGithub })
+
+      expect(result.issue.number).toBe(12)
+      expect(logger.info).toHaveBeenCalledWith(
+        'Issue #10: description was edited by author after label "copilot-approved" was added - approval revoked'
+      )
+      expect(logger.info).toHaveBeenCalledWith(
+        'Issue #11: title was edited by author after label "copilot-approved" was added - approval revoked'
+      )
+    })
+
+    test('should keep approval after an edit by a maintainer', async () => {
+      const mockGithub = createEditGithub([approvedIssue(10)], { 10: history({ bodyEditor: 'maintainer' }) })
+
+      const result = await executeWorkflow({ ...editParams, github: mockGithub })
+
+      expect(result.issue.number).toBe(10)
+    })
+
+    test('should ask for re-approval once per revoking edit', async () => {
+      const mockGithub = createEditGithub([approvedIssue(10), approvedIssue(11), approvedIssue(12)], {
+        10: history({ bodyEditor: 'author' }),
+        11: history({
+          bodyEditor: 'author',
+          comments: [{ createdAt: '2026-03-04T00:00:00Z', body: '<!-- auto-assign-copilot:reapproval -->\nPlease re-approve' }]
+        }),
+        12: history()
+      })
+
+      const result = await executeWorkflow({
+        ...editParams,
+        github: mockGithub,
+        dryRun: false,
+        reapprovalComment: true
+      })
+
+      expect(result.issue.number).toBe(12)
+      const comments = mockGithub.request.mock.calls.filter(([endpoint]) => endpoint.includes('/comments'))
+      expect(comments).toHaveLength(1)
+      expect(comments[0][1].issue_number).toBe(10)
+      expect(comments[0][1].body).toContain('<!-- auto-assign-copilot:reapproval -->')
+      expect(comments[0][1].body).toContain('`copilot-approved`')
+    })
+
+    test('should not check approval of or comment on issues that are already assigned', async () => {
+      const assigned = makeIssue(1, {
+        assignees: { nodes: [{ login: 'human', id: 'human-id' }] },
+        labels: { nodes: [{ name: 'bug' }, { name: 'copilot-approved' }] }
+      })
+      const mockGithub = createEditGithub([assigned, approvedIssue(12)], {
+        1: history({ bodyEditor: 'author' }),
+        12: history()
+      })
+
+      const result = await executeWorkflow({
+        ...editParams,
+        github: mockGithub,
+        dryRun: false,
+        reapprovalComment: true
+      })
+
+      expect(result.issue.number).toBe(12)
+      expect(mockGithub.request.mock.calls.some(([endpoint]) => endpoint.includes('/comments'))).toBe(false)
+      const historyLookups = mockGithub.graphql.mock.calls.filter(([query]) => query.includes('LABELED_EVENT'))
+      expect(historyLookups.map(([, variables]) => variables.number)).toEqual([12])
+    })
+  })
+
+  describe('approval methods', () => {
+    const history = ({ reactions = [], comments = [], bodyEditor } = {}) => ({
+      timelineItems: { nodes: [] },
+      userContentEdits: {
+        nodes: bodyEditor ? [{ editedAt: '2026-03-05T00:00:00Z', editor: { login: bodyEditor } }] : []
+      },
+      reactions: {
+        nodes: reactions.map((login) => ({ createdAt: '2026-03-02T00:00:00Z', user: { login } }))
+      },
+      comments: {
+        nodes: comments.map(([login, body]) => ({ createdAt: '2026-03-03T00:00:00Z', body, author: { login } }))
+      }
+    })
+
+    const createMethodGithub = (bugIssues, histories) => createIssueQueryGithub({
+      labelIssues: { bug: bugIssues },
+      graphql: async (query, variables) => query.includes('LABELED_EVENT')
+        ? { repository: { issue: histories[variables.number] || history() } }
+        : {},
+      request: respondWithRoles
+    })
+
+    const methodParams = { ...baseParams, requiredLabel: 'copilot-approved' }
+
+    test('should approve issues with a reaction from a maintainer', async () => {
+      const mockGithub = createMethodGithub([makeIssue(10), makeIssue(11)], {
+        10: history({ reactions: ['author'] }),
+        11: history({ reactions: ['maintainer'] })
+      })
+
+      const result = await executeWorkflow({
+        ...methodParams,
+        github: mockGithub,
+        approvalMethods: ['label', 'reaction'],
+        approvalReaction: 'hooray'
+      })
+
+      expect(result.issue.number).toBe(11)
+      const lookup = mockGithub.graphql.mock.calls.find(([query]) => query.includes('LABELED_EVENT'))
+      expect(lookup[1].reaction).toBe('HOORAY')
+    })
+
+    test('should approve issues with a /copilot approve comment from a maintainer', async () => {
+      const mockGithub = createMethodGithub([makeIssue(10), makeIssue(11)], {
+        10: history({ comments: [['author', '/copilot approve']] }),
+        11: history({ comments: [['maintainer', 'Scoped well.\n/copilot approve']] })
+      })
+
+      const result = await executeWorkflow({ ...methodParams, github: mockGithub, approvalMethods: ['comment'] })
+
+      expect(result.issue.number).toBe(11)
+    })
+
+    test('should ignore the label when the label method is not selected', async () => {
+      const mockGithub = createMethodGithub([approvedIssue(10), makeIssue(11)], {
+        11: history({ reactions: ['maintainer'] })
+      })
+
+      const result = await executeWorkflow({ ...methodParams, github: mockGithub, approvalMethods: ['reaction'] })
+
+      expect(result.issue.number).toBe(11)
+    })
+
+    test('should revoke reaction approval after a later edit', async () => {
+      const mockGithub = createMethodGithub([makeIssue(10), makeIssue(11)], {
+        10: history({ reactions: ['maintainer'], bodyEditor: 'author' }),
+        11: history({ comments: [['maintainer', '/copilot approve']] })
+      })
+
+      const result = await executeWorkflow({
+        ...methodParams,
+        github: mockGithub,
+        approvalMethods: ['reaction', 'comment'],
+        revokeApprovalOnEdit: true
+      })
+
+      expect(result.issue.number).toBe(11)
+    })
+
+    test('should keep label-only approval without history lookups by default', async () => {
+      const mockGithub = createMethodGithub([makeIssue(10), approvedIssue(11)], {
+        10: history({ reactions: ['maintainer'] })
+      })
+
+      const result = await executeWorkflow({ ...methodParams, github: mockGithub })
+
+      expect(result.issue.number).toBe(11)
+      expect(mockGithub.graphql.mock.calls.some(([query]) => query.includes('LABELED_EVENT'))).toBe(false)
+    })
+  })
 })